@@ -0,0 +1,100 @@
+const { safeEqual, signToken, verifyToken } = require('./signed_tokens');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'auth' });
+
+// Default lifetime of an admin token, in seconds
+const ADMIN_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+if (!process.env.ADMIN_API_KEY && !process.env.ADMIN_TOKEN_SECRET) {
+  logger.warn('neither ADMIN_API_KEY nor ADMIN_TOKEN_SECRET is set, admin routes will reject every request');
+}
+
+/**
+ * Creates a signed admin token
+ * @param {string} subject - Who the token is issued to, for logging
+ * @param {number} ttlSeconds - How long the token stays valid
+ * @returns {string} The token
+ */
+function createAdminToken(subject, ttlSeconds = ADMIN_TOKEN_TTL_SECONDS) {
+  if (!process.env.ADMIN_TOKEN_SECRET) {
+    throw new Error('ADMIN_TOKEN_SECRET must be set to create admin tokens');
+  }
+
+  return signToken({
+    sub: subject,
+    role: 'admin',
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  }, process.env.ADMIN_TOKEN_SECRET);
+}
+
+/**
+ * Reads the credential from either an X-API-Key header or a Bearer token
+ * @param {Object} request - Express request
+ * @returns {string|null} The credential, or null if none was sent
+ */
+function getCredential(request) {
+  const apiKey = request.get('X-API-Key');
+  if (apiKey) {
+    return apiKey;
+  }
+
+  const authorization = request.get('Authorization') || '';
+  const [scheme, value] = authorization.split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && value) {
+    return value;
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware that only lets admin requests through. Accepts either
+ * the configured API key or a signed admin token.
+ */
+const requireAdmin = (request, response, next) => {
+  const { ADMIN_API_KEY, ADMIN_TOKEN_SECRET } = process.env;
+  const credential = getCredential(request);
+
+  if (!credential) {
+    logger.warn('unauthenticated request to admin route', { method: request.method, path: request.originalUrl });
+    return response.status(401).json({
+      error: 'Unauthorized',
+      message: 'An admin API key or token is required'
+    });
+  }
+
+  if (ADMIN_API_KEY && safeEqual(credential, ADMIN_API_KEY)) {
+    request.admin = { sub: 'api-key' };
+    return next();
+  }
+
+  const claims = ADMIN_TOKEN_SECRET ? verifyToken(credential, ADMIN_TOKEN_SECRET) : null;
+  if (claims && claims.role === 'admin') {
+    request.admin = { sub: claims.sub };
+    return next();
+  }
+
+  logger.warn('rejected credentials for admin route', { method: request.method, path: request.originalUrl });
+  response.status(403).json({
+    error: 'Forbidden',
+    message: 'The provided credentials do not grant admin access'
+  });
+};
+
+// Prints a fresh admin token: node src/auth.js [subject] [ttl-seconds]
+if (require.main === module) {
+  require('dotenv').config();
+  const [subject = 'cli', ttl] = process.argv.slice(2);
+  try {
+    console.log(createAdminToken(subject, parseInt(ttl) || ADMIN_TOKEN_TTL_SECONDS));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createAdminToken,
+  requireAdmin
+};
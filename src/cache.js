@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { responseCacheRequests } = require('./metrics');
+
+const logger = createLogger({ module: 'cache' });
+
+// Channel writers notify after changing characters or matches, so every server
+// process drops its cache, including for changes made by the CLIs
+const CACHE_CHANNEL = 'op_elo_data_changed';
+// How long a response is cached for. Changes invalidate the cache straight
+// away, this only bounds how stale it gets if a notification is missed.
+const CACHE_TTL_MS = (parseInt(process.env.CACHE_TTL_SECONDS) || 60) * 1000;
+// Most responses the memory backend holds before evicting the least recently used
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+// How long to wait before reconnecting the notification listener
+const LISTEN_RETRY_MS = 5000;
+
+/**
+ * Creates an in-memory cache backend. Any object with the same get, set and
+ * (optionally) clear methods can be passed to createResponseCache instead,
+ * e.g. one backed by Redis.
+ * @param {Object} options - Backend options
+ * @param {number} options.maxEntries - Most entries kept before evicting the least recently used
+ * @returns {Object} Backend with get(key), set(key, value, ttlMs) and clear()
+ */
+function createMemoryCache({ maxEntries = CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so the least recently used entry is the first one evicted
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear: async () => {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Tells every listening server process that cached responses are out of
+ * date. Call it inside the transaction making the change, Postgres only
+ * delivers the notification if it commits.
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string} reason - What changed, for logging (e.g. 'elo', 'scrape', 'import')
+ * @returns {Promise<void>}
+ */
+async function notifyDataChanged(client, reason) {
+  await client.query('SELECT pg_notify($1, $2)', [CACHE_CHANNEL, reason]);
+}
+
+// HTTP dates only have second precision
+const wholeSeconds = (date) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+
+/**
+ * Creates a cache for JSON GET responses. Entries carry an ETag and a
+ * Last-Modified (when the data last changed), so clients can revalidate
+ * with If-None-Match or If-Modified-Since and get a 304.
+ * @param {Object} options - Cache options
+ * @param {Object} options.backend - Storage, see createMemoryCache (default: a new memory cache)
+ * @param {number} options.ttlMs - How long entries are kept (default: CACHE_TTL_MS)
+ * @returns {Object} { cached, invalidate, listen, stop }
+ */
+function createResponseCache({ backend = createMemoryCache(), ttlMs = CACHE_TTL_MS } = {}) {
+  // Part of every key and bumped on each invalidation, so entries from before
+  // a change are never read again (even one stored by a request that started
+  // before the change and finished after it)
+  let generation = 0;
+  let lastModified = wholeSeconds(new Date());
+
+  let listener = null;
+  let listenFailing = false;
+  let stopped = false;
+
+  /**
+   * Drops every cached response
+   * @param {string} reason - What changed, for logging
+   */
+  const invalidate = (reason) => {
+    generation++;
+    lastModified = wholeSeconds(new Date());
+    logger.debug('cache invalidated', { reason, generation });
+
+    if (backend.clear) {
+      backend.clear().catch(error => {
+        logger.error('failed to clear cache backend', { error });
+      });
+    }
+  };
+
+  const send = (request, response, entry, result) => {
+    response.setHeader('ETag', entry.etag);
+    response.setHeader('Last-Modified', entry.lastModified);
+    // Let browsers keep a copy but always revalidate it
+    response.setHeader('Cache-Control', 'no-cache');
+    response.setHeader('X-Cache', result);
+
+    // req.fresh compares If-None-Match and If-Modified-Since against the headers above
+    if (request.fresh) {
+      return response.status(304).end();
+    }
+    return response.status(200).type('json').send(entry.body);
+  };
+
+  /**
+   * Express middleware that serves a cached copy of the response if there is
+   * one, and otherwise caches the 200 JSON response the handler sends.
+   * Responses sent with Cache-Control: no-store aren't cached.
+   * @param {Object} request - Express request
+   * @param {Object} response - Express response
+   * @param {Function} next - Next middleware
+   */
+  const cached = async (request, response, next) => {
+    const key = `${generation}:${request.originalUrl}`;
+
+    let entry;
+    try {
+      entry = await backend.get(key);
+    } catch (error) {
+      // Fail open, a broken backend shouldn't take reads down with it
+      logger.error('failed to read from cache backend', { error });
+      return next();
+    }
+
+    if (entry) {
+      responseCacheRequests.inc({ result: 'hit' });
+      return send(request, response, entry, 'HIT');
+    }
+    responseCacheRequests.inc({ result: 'miss' });
+
+    const json = response.json.bind(response);
+    response.json = (body) => {
+      if (response.statusCode !== 200 || /no-store/.test(response.get('Cache-Control') || '')) {
+        return json(body);
+      }
+
+      const text = JSON.stringify(body);
+      const fresh = {
+        body: text,
+        etag: `"${crypto.createHash('sha256').update(text).digest('hex').slice(0, 32)}"`,
+        lastModified: lastModified.toUTCString()
+      };
+
+      backend.set(key, fresh, ttlMs).catch(error => {
+        logger.error('failed to write to cache backend', { error });
+      });
+      return send(request, response, fresh, 'MISS');
+    };
+
+    next();
+  };
+
+  /**
+   * Listens for notifyDataChanged on a dedicated connection and invalidates
+   * on each notification. Reconnects if the connection drops.
+   * @param {Object} pool - PostgreSQL connection pool
+   * @returns {Promise<void>}
+   */
+  const listen = async (pool) => {
+    if (listener || stopped) {
+      return;
+    }
+
+    const retry = () => {
+      const timer = setTimeout(() => listen(pool), LISTEN_RETRY_MS);
+      timer.unref();
+    };
+
+    let client;
+    try {
+      client = await pool.connect();
+      listener = client;
+
+      client.on('notification', (message) => {
+        if (message.channel === CACHE_CHANNEL) {
+          invalidate(message.payload);
+        }
+      });
+      client.on('error', (error) => {
+        logger.error('cache listener lost its connection', { error });
+        client.release(error);
+        listener = null;
+        retry();
+      });
+
+      await client.query(`LISTEN ${CACHE_CHANNEL}`);
+      listenFailing = false;
+
+      // Anything cached while we weren't listening may have missed a change
+      invalidate('listener connected');
+    } catch (error) {
+      // Only log the first failure, not every retry while the database is down
+      if (!listenFailing) {
+        logger.warn('failed to listen for data changes, retrying', { error });
+        listenFailing = true;
+      }
+      if (client) {
+        client.release(error);
+        listener = null;
+      }
+      retry();
+    }
+  };
+
+  /**
+   * Releases the listener connection, so the pool can shut down
+   */
+  const stop = () => {
+    stopped = true;
+    if (listener) {
+      listener.release();
+      listener = null;
+    }
+  };
+
+  return { cached, invalidate, listen, stop };
+}
+
+module.exports = {
+  CACHE_CHANNEL,
+  createMemoryCache,
+  createResponseCache,
+  notifyDataChanged
+};
@@ -0,0 +1,105 @@
+const { calculateMatch } = require('./elo');
+
+/**
+ * Lists every category with how many active characters are in it
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>} Categories ordered by name
+ */
+async function listCategories(pool) {
+  const result = await pool.query(
+    `SELECT cat.id, cat.slug, cat.name, COUNT(c.id)::int AS characters
+     FROM categories cat
+     LEFT JOIN character_categories cc ON cc.category_id = cat.id
+     LEFT JOIN characters c ON c.id = cc.character_id AND c.active
+     GROUP BY cat.id
+     ORDER BY cat.name`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Looks up a category by its slug
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} slug - Category slug, e.g. straw-hats
+ * @returns {Promise<Object|null>} The category, or null if there isn't one with that slug
+ */
+async function getCategoryBySlug(pool, slug) {
+  const result = await pool.query('SELECT id, slug, name FROM categories WHERE slug = $1', [slug]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Adds characters to every category their affiliation matches. Memberships
+ * are never removed here, so a character keeps their category elo if a later
+ * scrape fails to read their affiliation.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<number>} Number of memberships added
+ */
+async function refreshCategoryMembers(pool) {
+  const result = await pool.query(
+    `INSERT INTO character_categories (character_id, category_id)
+     SELECT c.id, cat.id
+     FROM characters c
+     JOIN categories cat ON EXISTS (
+       SELECT 1 FROM unnest(cat.affiliation_patterns) AS pattern
+       WHERE c.affiliation ILIKE '%' || pattern || '%'
+     )
+     ON CONFLICT DO NOTHING`
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Applies a match to every category both characters belong to, so each
+ * category's elo only moves from votes between its own members. Must be
+ * called inside the transaction that applies the match.
+ * @param {Object} client - PostgreSQL client with an open transaction
+ * @param {string} winnerId - ID of the winning character
+ * @param {string} loserId - ID of the losing character
+ * @returns {Promise<Array>} One { category_id, winner_change, loser_change } per shared category
+ */
+async function applyCategoryMatch(client, winnerId, loserId) {
+  const shared = await client.query(
+    `SELECT category_id, character_id, elo, wins, losses
+     FROM character_categories
+     WHERE character_id = ANY($1::uuid[])
+       AND category_id IN (
+         SELECT category_id FROM character_categories WHERE character_id = $2
+         INTERSECT
+         SELECT category_id FROM character_categories WHERE character_id = $3
+       )
+     ORDER BY category_id, character_id
+     FOR UPDATE`,
+    [[winnerId, loserId], winnerId, loserId]
+  );
+
+  const changes = [];
+  const categoryIds = [...new Set(shared.rows.map(row => row.category_id))];
+
+  for (const categoryId of categoryIds) {
+    const winner = shared.rows.find(row => row.category_id === categoryId && row.character_id === winnerId);
+    const loser = shared.rows.find(row => row.category_id === categoryId && row.character_id === loserId);
+    const { winnerChange, loserChange } = calculateMatch(winner, loser);
+
+    const query = `
+      UPDATE character_categories
+      SET wins = wins + $1, losses = losses + $2, elo = elo + $3
+      WHERE character_id = $4 AND category_id = $5`;
+
+    await client.query(query, [1, 0, winnerChange, winnerId, categoryId]);
+    await client.query(query, [0, 1, loserChange, loserId, categoryId]);
+
+    changes.push({ category_id: categoryId, winner_change: winnerChange, loser_change: loserChange });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  listCategories,
+  getCategoryBySlug,
+  refreshCategoryMembers,
+  applyCategoryMatch
+};
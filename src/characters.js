@@ -0,0 +1,134 @@
+const { rankedCharacters, tierForPercentile } = require('./leaderboard');
+const { scoreSql, describeRatings } = require('./ratings');
+
+// Keys GET /characters can be sorted by. score is the active rating system's
+// conservative score, glicko2 and trueskill are those systems' scores.
+const SORT_KEYS = ['elo', 'score', 'glicko2', 'trueskill', 'wins', 'losses', 'win_rate', 'name'];
+// Only elo is tracked per category, so these can't be used within one
+const GLOBAL_ONLY_SORT_KEYS = ['score', 'glicko2', 'trueskill'];
+
+/**
+ * Builds the ORDER BY expression for a sort key
+ * @param {string} sort - One of SORT_KEYS
+ * @param {string} prefix - Column prefix, 'category_' when ranking within a category
+ * @returns {string} SQL expression over the ranked characters subquery
+ */
+function sortExpression(sort, prefix) {
+  switch (sort) {
+    case 'win_rate':
+      return `CASE WHEN c.${prefix}wins + c.${prefix}losses = 0 THEN 0 ELSE c.${prefix}wins::float / (c.${prefix}wins + c.${prefix}losses) END`;
+    case 'name':
+      return 'c.first_name';
+    // Global only, see GLOBAL_ONLY_SORT_KEYS
+    case 'score':
+      return scoreSql(undefined, 'c.');
+    case 'glicko2':
+    case 'trueskill':
+      return scoreSql(sort, 'c.');
+    default:
+      return `c.${prefix}${sort}`;
+  }
+}
+
+/**
+ * Encodes a result offset as an opaque pagination cursor
+ * @param {number} offset - Number of rows already returned
+ * @returns {string} The cursor
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor created by encodeCursor
+ * @param {string} cursor - The cursor
+ * @returns {number|null} The offset, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escapes LIKE wildcards so user input is matched literally
+ * @param {string} value - Raw search text
+ * @returns {string} The escaped text
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Lists characters with filtering, sorting and pagination. Every row carries
+ * its leaderboard rank regardless of the filters applied, since the ranking
+ * happens before the filters. With a category, only its members are listed
+ * and rank, sorting and min_games use their category record.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} options - Listing options
+ * @param {number} options.limit - Maximum number of characters to return
+ * @param {number} options.offset - Number of matching characters to skip
+ * @param {string} options.sort - One of SORT_KEYS
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.minGames - Only include characters with at least this many games
+ * @param {string} options.q - Case-insensitive name search
+ * @param {number|null} options.categoryId - Only include members of this category
+ * @returns {Promise<Object>} { characters, total }
+ */
+async function listCharacters(pool, { limit, offset, sort, order, minGames, q, categoryId = null }) {
+  const conditions = [];
+  const params = [];
+  const prefix = categoryId ? 'category_' : '';
+
+  if (categoryId) {
+    params.push(categoryId);
+  }
+  const ranked = rankedCharacters(categoryId ? '$1' : null);
+
+  if (minGames > 0) {
+    params.push(minGames);
+    conditions.push(`c.${prefix}wins + c.${prefix}losses >= $${params.length}`);
+  }
+
+  if (q) {
+    params.push(`%${escapeLike(q)}%`);
+    conditions.push(`concat_ws(' ', c.first_name, c.last_name, c.title) ILIKE $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const count = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM (${ranked}) c ${where}`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT c.*
+     FROM (${ranked}) c
+     ${where}
+     ORDER BY ${sortExpression(sort, prefix)} ${direction}, c.first_name ASC, c.id ASC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    characters: result.rows.map(row => ({
+      ...row,
+      tier: tierForPercentile(row.percentile),
+      ratings: describeRatings(row)
+    })),
+    total: count.rows[0].total
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  GLOBAL_ONLY_SORT_KEYS,
+  encodeCursor,
+  decodeCursor,
+  listCharacters
+};
@@ -0,0 +1,42 @@
+const { Pool, types } = require('pg');
+
+// Return BIGINT columns (e.g. bounty) as numbers instead of strings. Every
+// bigint we store fits safely in a JS number.
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value));
+
+// How long to wait for a new connection before giving up, so requests fail
+// fast while the database is down instead of hanging
+const CONNECT_TIMEOUT_MS = parseInt(process.env.PG_CONNECT_TIMEOUT_MS) || 5000;
+
+/**
+ * Creates a PostgreSQL connection pool from the PG_* environment variables
+ * @param {string} prefix - Prefix for the variable names, e.g. 'PROD_' to read PROD_PG_HOST (default: none)
+ * @returns {Object} PostgreSQL connection pool
+ */
+function createPool(prefix = '') {
+  const env = (name) => process.env[`${prefix}${name}`];
+
+  // Determine SSL configuration
+  let sslConfig = false;
+  if (process.env.NODE_ENV === 'production' || 
+      (env('PG_HOST') && env('PG_HOST').includes('render.com'))) {
+    sslConfig = {
+      rejectUnauthorized: false, // Accept self-signed certificates (Render requirement)
+      require: true
+    };
+  }
+
+  return new Pool({
+    user: env('PG_USER'),
+    host: env('PG_HOST'),
+    database: env('PG_DATABASE'),
+    password: env('PG_PASSWORD'),
+    port: env('PG_PORT'),
+    ssl: sslConfig,
+    connectionTimeoutMillis: CONNECT_TIMEOUT_MS
+  });
+}
+
+module.exports = {
+  createPool
+};
@@ -0,0 +1,50 @@
+// K-factor used while a character is still provisional
+const PROVISIONAL_K = 40;
+// K-factor once a character has settled in
+const ESTABLISHED_K = 20;
+// Number of games before a character is no longer provisional
+const PROVISIONAL_GAMES = 30;
+
+/**
+ * Expected score of player A against player B
+ * @param {number} eloA - Rating of player A
+ * @param {number} eloB - Rating of player B
+ * @returns {number} Probability (0-1) that A beats B
+ */
+function expectedScore(eloA, eloB) {
+  return 1 / (1 + Math.pow(10, (eloB - eloA) / 400));
+}
+
+/**
+ * K-factor for a character based on how many games they've played
+ * @param {number} gamesPlayed - Total wins + losses
+ * @returns {number} The K-factor to apply
+ */
+function kFactor(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+}
+
+/**
+ * Computes the elo changes for both sides of a match
+ * @param {Object} winner - Winner row with elo, wins and losses
+ * @param {Object} loser - Loser row with elo, wins and losses
+ * @returns {Object} { winnerChange, loserChange } rounded to whole points
+ */
+function calculateMatch(winner, loser) {
+  const winnerExpected = expectedScore(winner.elo, loser.elo);
+  const loserExpected = expectedScore(loser.elo, winner.elo);
+
+  const winnerK = kFactor(winner.wins + winner.losses);
+  const loserK = kFactor(loser.wins + loser.losses);
+
+  return {
+    winnerChange: Math.round(winnerK * (1 - winnerExpected)),
+    loserChange: Math.round(loserK * (0 - loserExpected))
+  };
+}
+
+module.exports = {
+  expectedScore,
+  kFactor,
+  calculateMatch
+};
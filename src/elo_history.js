@@ -0,0 +1,75 @@
+// recent_change is the sum of every elo change inside this window
+const RECENT_CHANGE_WINDOW = '24 hours';
+// Bucket sizes the history endpoint can roll snapshots up into
+const HISTORY_BUCKETS = ['day', 'week'];
+
+/**
+ * Builds the select-list expression for a character's recent_change. It's
+ * summed from the elo history whenever it's read rather than stored, so it
+ * falls back to 0 once a character stops playing.
+ * @param {string} idColumn - Column holding the character's id, e.g. 'c.id'
+ * @returns {string} SQL expression aliased as recent_change
+ */
+function recentChangeSql(idColumn) {
+  return `(
+    SELECT COALESCE(SUM(h.delta), 0)::int
+    FROM elo_history h
+    WHERE h.character_id = ${idColumn} AND h.recorded_at > NOW() - INTERVAL '${RECENT_CHANGE_WINDOW}'
+  ) AS recent_change`;
+}
+
+/**
+ * Records an elo snapshot for a character. Must be called with a client
+ * inside the same transaction that changed the character's elo.
+ * @param {Object} client - PostgreSQL client with an open transaction
+ * @param {Object} character - The character row after the elo change
+ * @param {number} eloChange - How much the elo changed by
+ * @param {string|null} matchId - The match that caused the change, if any
+ * @returns {Promise<Object>} The character row with its recent_change
+ */
+async function recordEloChange(client, character, eloChange, matchId = null) {
+  await client.query(
+    `INSERT INTO elo_history (character_id, match_id, elo_before, elo_after, delta)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [character.id, matchId, character.elo - eloChange, character.elo, eloChange]
+  );
+
+  const result = await client.query(`SELECT ${recentChangeSql('$1::uuid')}`, [character.id]);
+  return { ...character, recent_change: result.rows[0].recent_change };
+}
+
+/**
+ * Gets a character's elo history rolled up into day or week buckets
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} characterId - ID of the character
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (exclusive)
+ * @param {string} bucket - Either 'day' or 'week'
+ * @returns {Promise<Array>} One point per bucket with open/close/high/low elo and the number of changes
+ */
+async function getEloHistory(pool, characterId, from, to, bucket) {
+  const result = await pool.query(
+    `SELECT
+       date_trunc($4, recorded_at) AS time,
+       (array_agg(elo_before ORDER BY recorded_at, id))[1] AS open,
+       (array_agg(elo_after ORDER BY recorded_at DESC, id DESC))[1] AS close,
+       MAX(GREATEST(elo_before, elo_after)) AS high,
+       MIN(LEAST(elo_before, elo_after)) AS low,
+       SUM(delta)::int AS change,
+       COUNT(*)::int AS changes
+     FROM elo_history
+     WHERE character_id = $1 AND recorded_at >= $2 AND recorded_at < $3
+     GROUP BY 1
+     ORDER BY 1`,
+    [characterId, from, to, bucket]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  HISTORY_BUCKETS,
+  recentChangeSql,
+  recordEloChange,
+  getEloHistory
+};
@@ -0,0 +1,137 @@
+// Starting rating, deviation and volatility for a new character
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+// Constrains how quickly volatility can change (Glickman suggests 0.3-1.2)
+const TAU = 0.5;
+// Converts between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+// Convergence tolerance for the volatility iteration
+const EPSILON = 0.000001;
+
+/**
+ * Reduces the weight of a result against an opponent whose rating is uncertain
+ * @param {number} phi - Opponent's deviation on the Glicko-2 scale
+ * @returns {number} The weighting factor
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score against an opponent on the Glicko-2 scale
+ * @param {number} mu - Player's rating on the Glicko-2 scale
+ * @param {number} opponentMu - Opponent's rating on the Glicko-2 scale
+ * @param {number} opponentPhi - Opponent's deviation on the Glicko-2 scale
+ * @returns {number} Probability (0-1) that the player wins
+ */
+function expected(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * Works out the new volatility with the Illinois algorithm (step 5 of Glickman's paper)
+ * @param {number} phi - Player's deviation on the Glicko-2 scale
+ * @param {number} sigma - Player's volatility
+ * @param {number} delta - Estimated improvement from the results
+ * @param {number} v - Estimated variance from the results
+ * @returns {number} The new volatility
+ */
+function newVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return ex * (delta * delta - phi * phi - v - ex) / (2 * Math.pow(phi * phi + v + ex, 2)) -
+      (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) {
+      k++;
+    }
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rates a player over one rating period
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Array} results - Array of { opponent: { rating, deviation }, score } where score is 1 for a win and 0 for a loss
+ * @returns {Object} The player's new { rating, deviation, volatility }
+ */
+function rate(player, results) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.deviation / SCALE;
+
+  // A period without games only makes the rating less certain
+  if (results.length === 0) {
+    return {
+      rating: player.rating,
+      deviation: Math.sqrt(phi * phi + player.volatility * player.volatility) * SCALE,
+      volatility: player.volatility
+    };
+  }
+
+  const games = results.map(({ opponent, score }) => {
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.deviation / SCALE;
+    return { weight: g(opponentPhi), expected: expected(mu, opponentMu, opponentPhi), score };
+  });
+
+  const v = 1 / games.reduce((sum, game) => sum + game.weight * game.weight * game.expected * (1 - game.expected), 0);
+  const improvement = games.reduce((sum, game) => sum + game.weight * (game.score - game.expected), 0);
+
+  const sigma = newVolatility(phi, player.volatility, v * improvement, v);
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    deviation: newPhi * SCALE,
+    volatility: sigma
+  };
+}
+
+/**
+ * Rates both sides of a single match, treating it as its own rating period
+ * @param {Object} winner - Winner's { rating, deviation, volatility }
+ * @param {Object} loser - Loser's { rating, deviation, volatility }
+ * @returns {Object} { winner, loser } with each side's new rating
+ */
+function calculateMatch(winner, loser) {
+  return {
+    winner: rate(winner, [{ opponent: loser, score: 1 }]),
+    loser: rate(loser, [{ opponent: winner, score: 0 }])
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  rate,
+  calculateMatch
+};
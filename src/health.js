@@ -0,0 +1,184 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'health' });
+
+// How often the database is checked, also sent as Retry-After while it's down
+const HEALTH_CHECK_INTERVAL_MS = (parseInt(process.env.HEALTH_CHECK_INTERVAL_SECONDS) || 10) * 1000;
+// How long a check query may take before the database counts as unreachable
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+// pg's default pool size, for pools that don't report their own
+const DEFAULT_POOL_MAX = 10;
+
+// Error codes that mean the database can't be reached, as opposed to a bad query.
+// 08xxx (connection exceptions) are matched by prefix below.
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EHOSTUNREACH', 'EAI_AGAIN',
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03' // cannot_connect_now
+];
+
+/**
+ * Works out whether an error means the database is unreachable
+ * @param {Error} error - Error thrown by a query or connection attempt
+ * @returns {boolean} True for connection failures, false for query errors
+ */
+function isConnectionError(error) {
+  if (!error) {
+    return false;
+  }
+  if (CONNECTION_ERROR_CODES.includes(error.code) || /^08/.test(error.code || '')) {
+    return true;
+  }
+  // pg raises these without a code
+  return /connection terminated|timeout exceeded when trying to connect|database check timed out/i.test(error.message || '');
+}
+
+/**
+ * Creates a monitor that checks the database in the background and tracks
+ * whether it's reachable, so the server can keep running in a degraded mode
+ * while it's down
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} options - Monitor options
+ * @param {Function} options.onUp - Called whenever the database becomes reachable, including the first time
+ * @returns {Object} Monitor with start, stop, check, markDown, isDatabaseUp, status and requireDatabase
+ */
+function createHealthMonitor(pool, { onUp = () => {} } = {}) {
+  const database = {
+    reachable: false,
+    checkedAt: null,
+    latencyMs: null,
+    error: null,
+    downSince: new Date()
+  };
+  let timer = null;
+
+  const markUp = (latencyMs) => {
+    const wasDown = !database.reachable;
+    Object.assign(database, { reachable: true, checkedAt: new Date(), latencyMs, error: null, downSince: null });
+
+    if (wasDown) {
+      logger.info('database is reachable');
+      onUp();
+    }
+  };
+
+  /**
+   * Records that the database can't be reached
+   * @param {Error} error - Why it couldn't be reached
+   */
+  const markDown = (error) => {
+    // Only log the first failure, not every check while it stays down
+    if (database.reachable || !database.checkedAt) {
+      logger.error('database is unreachable, serving in degraded mode', { error });
+    }
+    if (database.reachable) {
+      database.downSince = new Date();
+    }
+    Object.assign(database, { reachable: false, checkedAt: new Date(), latencyMs: null, error: error.message });
+  };
+
+  /**
+   * Checks the database now
+   * @returns {Promise<boolean>} Whether it's reachable
+   */
+  const check = async () => {
+    const startedAt = Date.now();
+    let timeout;
+
+    try {
+      await Promise.race([
+        pool.query('SELECT 1'),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Database check timed out')), HEALTH_CHECK_TIMEOUT_MS);
+        })
+      ]);
+      markUp(Date.now() - startedAt);
+    } catch (error) {
+      markDown(error);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    return database.reachable;
+  };
+
+  return {
+    check,
+    markDown,
+
+    /**
+     * Checks the database straight away and then every HEALTH_CHECK_INTERVAL_MS
+     */
+    start() {
+      const loop = async () => {
+        await check();
+        timer = setTimeout(loop, HEALTH_CHECK_INTERVAL_MS);
+        // Don't keep the process alive just for the checks
+        timer.unref();
+      };
+      loop();
+    },
+
+    stop() {
+      clearTimeout(timer);
+    },
+
+    isDatabaseUp: () => database.reachable,
+
+    /**
+     * Describes the database and pool for the health endpoints
+     * @returns {Object} { database, pool }
+     */
+    status() {
+      const max = (pool.options && pool.options.max) || DEFAULT_POOL_MAX;
+      const inUse = pool.totalCount - pool.idleCount;
+
+      return {
+        database: {
+          reachable: database.reachable,
+          checked_at: database.checkedAt ? database.checkedAt.toISOString() : null,
+          latency_ms: database.latencyMs,
+          error: database.error,
+          down_since: database.downSince ? database.downSince.toISOString() : null
+        },
+        pool: {
+          max,
+          total: pool.totalCount,
+          idle: pool.idleCount,
+          in_use: inUse,
+          waiting: pool.waitingCount,
+          utilization: Math.round((inUse / max) * 100) / 100,
+          // Every connection is busy and queries are queueing for one
+          saturated: inUse >= max && pool.waitingCount > 0
+        }
+      };
+    },
+
+    /**
+     * Express middleware that answers 503 with Retry-After while the
+     * database is down, instead of letting the request time out
+     * @param {Object} request - Express request
+     * @param {Object} response - Express response
+     * @param {Function} next - Next middleware
+     */
+    requireDatabase(request, response, next) {
+      if (database.reachable) {
+        return next();
+      }
+
+      logger.warn('rejected request while the database is down', { method: request.method, path: request.originalUrl });
+      response.setHeader('Retry-After', Math.ceil(HEALTH_CHECK_INTERVAL_MS / 1000));
+      response.status(503).json({
+        error: 'Service unavailable',
+        message: 'The database is temporarily unavailable, try again shortly'
+      });
+    }
+  };
+}
+
+module.exports = {
+  HEALTH_CHECK_INTERVAL_MS,
+  isConnectionError,
+  createHealthMonitor
+};
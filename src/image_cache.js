@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { isAllowedUrl, fetchSafeImage } = require('./safe_fetch');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'image_cache' });
+
+// Directory cached images are written to
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(process.cwd(), '.image_cache');
+// How long a cached original is served before it's fetched again, in milliseconds
+const CACHE_TTL_MS = (parseInt(process.env.IMAGE_CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+// Error codes from safe_fetch.js for URLs the proxy refuses to serve
+const REFUSED_CODES = ['EHOSTNOTALLOWED', 'EBLOCKEDADDRESS', 'EUNSUPPORTEDTYPE', 'ETOOLARGE'];
+// Most the cache directory may hold before the oldest entries are deleted, in bytes
+const CACHE_MAX_BYTES = (parseInt(process.env.IMAGE_CACHE_MAX_MB) || 512) * 1024 * 1024;
+// Least time between two scans of the cache directory for pruning
+const PRUNE_INTERVAL_MS = 60 * 1000;
+// Temp files older than this were left behind by a crashed write
+const STALE_TEMP_MS = 60 * 60 * 1000;
+// Widths ?w= can resize to. Limited so the cache can't be filled with arbitrary sizes.
+const ALLOWED_WIDTHS = [64, 128, 256, 512];
+
+// Shown in place of an image when the wiki can't be reached
+const PLACEHOLDER = {
+  buffer: Buffer.from(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">' +
+    '<rect width="256" height="256" fill="#d9d4c7"/>' +
+    '<circle cx="128" cy="100" r="44" fill="#a39e91"/>' +
+    '<path d="M48 232c0-48 36-76 80-76s80 28 80 76z" fill="#a39e91"/>' +
+    '</svg>'
+  ),
+  contentType: 'image/svg+xml',
+  etag: '"placeholder-v1"'
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const etagFor = (buffer) => `"${hash(buffer).slice(0, 32)}"`;
+
+/**
+ * Reads a cache entry from disk
+ * @param {string} name - Entry file name
+ * @returns {Promise<Object|null>} { buffer, contentType, etag, fetchedAt } or null if it isn't cached
+ */
+async function readEntry(name) {
+  try {
+    const [buffer, meta] = await Promise.all([
+      fs.readFile(path.join(CACHE_DIR, name)),
+      fs.readFile(path.join(CACHE_DIR, `${name}.json`), 'utf-8')
+    ]);
+    const entry = { buffer, ...JSON.parse(meta) };
+
+    // Read between the image and its meta file being replaced, treat it as a miss
+    if (entry.etag !== etagFor(buffer)) {
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes a file to a temp name and renames it into place, so readers never
+ * see it half written
+ * @param {string} file - File name inside the cache directory
+ * @param {Buffer|string} data - File contents
+ */
+async function writeAtomically(file, data) {
+  const temp = path.join(CACHE_DIR, `${file}.${crypto.randomUUID()}.tmp`);
+
+  try {
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, path.join(CACHE_DIR, file));
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
+
+let lastPrunedAt = 0;
+let pruning = false;
+
+/**
+ * Deletes the oldest entries until the cache directory is back under 90% of
+ * CACHE_MAX_BYTES, along with temp files left behind by crashed writes
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function pruneCache() {
+  const files = await fs.readdir(CACHE_DIR);
+  const stat = (file) => fs.stat(path.join(CACHE_DIR, file)).catch(() => null);
+  const entries = [];
+  let total = 0;
+
+  for (const file of files) {
+    if (file.endsWith('.tmp')) {
+      const temp = await stat(file);
+      if (temp && Date.now() - temp.mtimeMs > STALE_TEMP_MS) {
+        await fs.rm(path.join(CACHE_DIR, file), { force: true });
+      }
+      continue;
+    }
+    if (file.endsWith('.json')) {
+      continue;
+    }
+
+    const [image, meta] = await Promise.all([stat(file), stat(`${file}.json`)]);
+    if (image) {
+      const size = image.size + (meta ? meta.size : 0);
+      entries.push({ file, size, writtenAt: image.mtimeMs });
+      total += size;
+    }
+  }
+
+  if (total <= CACHE_MAX_BYTES) {
+    return 0;
+  }
+
+  entries.sort((a, b) => a.writtenAt - b.writtenAt);
+  let deleted = 0;
+  for (const entry of entries) {
+    if (total <= CACHE_MAX_BYTES * 0.9) {
+      break;
+    }
+    // Meta first, so a reader racing the delete sees a miss rather than a stray meta file
+    await fs.rm(path.join(CACHE_DIR, `${entry.file}.json`), { force: true });
+    await fs.rm(path.join(CACHE_DIR, entry.file), { force: true });
+    total -= entry.size;
+    deleted++;
+  }
+
+  logger.info('pruned image cache', { deleted, bytes: total });
+  return deleted;
+}
+
+/**
+ * Prunes the cache in the background, at most once every PRUNE_INTERVAL_MS
+ */
+function schedulePrune() {
+  if (pruning || Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) {
+    return;
+  }
+
+  pruning = true;
+  lastPrunedAt = Date.now();
+  pruneCache()
+    .catch(error => logger.error('failed to prune image cache', { error }))
+    .finally(() => {
+      pruning = false;
+    });
+}
+
+/**
+ * Writes a cache entry to disk. The meta file goes last, an image without
+ * one is never read.
+ * @param {string} name - Entry file name
+ * @param {Object} entry - { buffer, contentType, url }
+ * @returns {Promise<Object>} The entry with its etag and fetchedAt
+ */
+async function writeEntry(name, { buffer, contentType, url }) {
+  const meta = {
+    url,
+    contentType,
+    etag: etagFor(buffer),
+    fetchedAt: Date.now()
+  };
+
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await writeAtomically(name, buffer);
+  await writeAtomically(`${name}.json`, JSON.stringify(meta));
+  schedulePrune();
+
+  return { buffer, ...meta };
+}
+
+/**
+ * Downloads an image from the wiki
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} { buffer, contentType, url }
+ */
+async function fetchImage(url) {
+  const image = await fetchSafeImage(url, {
+    'User-Agent': 'Mozilla/5.0 (compatible; bot)',
+    'Referer': 'https://onepiece.fandom.com/'
+  });
+
+  return { ...image, url };
+}
+
+/**
+ * Gets the original image, from the disk cache if it's fresh. A stale copy is
+ * still served if the wiki can't be reached.
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} { buffer, contentType, etag, cacheHit }
+ */
+async function getOriginal(url) {
+  const name = hash(url);
+  const cached = await readEntry(name);
+
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return { ...cached, cacheHit: true };
+  }
+
+  try {
+    return { ...await writeEntry(name, await fetchImage(url)), cacheHit: false };
+  } catch (error) {
+    // Refused URLs are never served, even if an older copy is cached
+    if (cached && !REFUSED_CODES.includes(error.code)) {
+      logger.warn('failed to refresh cached image, serving stale copy', { url, error });
+      return { ...cached, cacheHit: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets an image, optionally resized to one of the allowed widths, caching
+ * both the original and each resized copy on disk
+ * @param {string} url - Image URL
+ * @param {number|null} width - Width to resize to, or null for the original
+ * @returns {Promise<Object>} { buffer, contentType, etag, cacheHit }
+ */
+async function getCachedImage(url, width = null) {
+  // Checked up front too so cached copies stop being served if the allowlist changes
+  if (!isAllowedUrl(url)) {
+    const error = new Error(`${url} is not on an allowed host`);
+    error.code = 'EHOSTNOTALLOWED';
+    throw error;
+  }
+
+  const original = await getOriginal(url);
+
+  if (!width) {
+    return original;
+  }
+
+  // Resized copies are keyed by the original's etag so they're rebuilt when it changes
+  const name = `${hash(url)}-w${width}-${original.etag.replace(/"/g, '')}`;
+  const cached = await readEntry(name);
+  if (cached) {
+    return { ...cached, cacheHit: true };
+  }
+
+  const resized = await sharp(original.buffer)
+    .resize({ width, withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  return { ...await writeEntry(name, { buffer: resized, contentType: 'image/webp', url }), cacheHit: false };
+}
+
+module.exports = {
+  REFUSED_CODES,
+  ALLOWED_WIDTHS,
+  PLACEHOLDER,
+  getCachedImage,
+  pruneCache
+};
@@ -1,51 +1,101 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
-const Pool = require('pg').Pool;
-const axios = require('axios');
+
+// Load .env before the local modules below read their config
+dotenv.config();
+
 const cors = require('cors');
-const { populateCharacters, updateCharacterImagesFromPages } = require('./database_tools');
+const { createPool } = require('./db');
+const { runMigrations } = require('./migrate');
+const { populateCharacters } = require('./database_tools');
+const { createJob, getJob, resumeJobs } = require('./jobs');
+const { GLOBAL_ONLY_SORT_KEYS, encodeCursor, decodeCursor, listCharacters } = require('./characters');
+const { listCategories, getCategoryBySlug } = require('./categories');
+const { parseWindow, getLeaderboard, getRankedCharacter, getMovers } = require('./leaderboard');
+const { applyMatch, adjustCharacterElo, getCharacterMatches, getRecentMatches, getHeadToHead, getRecentForm } = require('./matches');
+const { expectedScore } = require('./elo');
+const { getEloHistory } = require('./elo_history');
+const { createMatchupToken, verifyMatchupToken, pickMatchup } = require('./matchup');
+const { requireAdmin } = require('./auth');
+const { createStore, rateLimit } = require('./rate_limit');
+const { flagRepeatedVotes } = require('./vote_audit');
+const { REFUSED_CODES, PLACEHOLDER, getCachedImage } = require('./image_cache');
+const { publishEloChanges, streamLeaderboard } = require('./leaderboard_stream');
+const openapi = require('./openapi');
+const { validateRequest } = require('./validation');
+const { logger, requestLogger } = require('./logger');
+const { votesApplied, imageProxyRequests, trackPool, trackRequests, serveMetrics } = require('./metrics');
+const { HEALTH_CHECK_INTERVAL_MS, isConnectionError, createHealthMonitor } = require('./health');
+const { createResponseCache } = require('./cache');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-dotenv.config();
+const pool = createPool();
+trackPool(pool);
 
-// Determine SSL configuration
-let sslConfig = false;
-if (process.env.NODE_ENV === 'production' || 
-    (process.env.PG_HOST && process.env.PG_HOST.includes('render.com'))) {
-  sslConfig = {
-    rejectUnauthorized: false, // Accept self-signed certificates (Render requirement)
-    require: true
-  };
+// Needed behind a reverse proxy (e.g. Render) so request.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 }
 
-const pool = new Pool({
-  user: process.env.PG_USER,
-  host: process.env.PG_HOST,
-  database: process.env.PG_DATABASE,
-  password: process.env.PG_PASSWORD,
-  port: process.env.PG_PORT,
-  ssl: sslConfig
-});
+// Set once migrations have run, /readyz fails until then
+let startupComplete = false;
+let startupRunning = false;
+
+/**
+ * Runs migrations and resumes interrupted jobs. Called each time the database
+ * becomes reachable until it succeeds, so the server can start while the
+ * database is down and finish starting once it's back.
+ */
+function runStartupTasks() {
+  if (startupComplete || startupRunning) {
+    return;
+  }
+  startupRunning = true;
+
+  const migrate = process.env.MIGRATE_ON_STARTUP !== 'false' ? runMigrations(pool) : Promise.resolve();
+  migrate
+    .then(() => {
+      startupComplete = true;
+      resumeJobs(pool).catch(error => {
+        logger.error('failed to resume jobs on startup', { error });
+      });
+    })
+    .catch(error => {
+      if (isConnectionError(error)) {
+        // Lost the database part way through, try again when it's back
+        health.markDown(error);
+        return;
+      }
+      logger.fatal('failed to run migrations on startup', { error });
+      process.exit(1);
+    })
+    .finally(() => {
+      startupRunning = false;
+    });
+}
+
+const health = createHealthMonitor(pool, { onUp: runStartupTasks });
+health.start();
 
-// Handle database connection errors
+// Caches character and leaderboard reads until elo updates, scrapes or imports change them
+const responseCache = createResponseCache();
+responseCache.listen(pool);
+const cached = responseCache.cached;
+
+// Idle clients losing their connection usually means the database went away
 pool.on('error', (err) => {
-  console.error('[ERROR]: Unexpected database error:', err.message);
-  console.error('Database connection lost. Attempting to reconnect...');
+  health.markDown(err);
 });
 
-// Test database connection on startup
-pool.connect((err, client, release) => {
-  if (err) {
-    console.error('[ERROR]: Failed to connect to database on startup:', err.message);
-    process.exit(1); // Exit if we can't connect to the database
-  } else {
-    console.log('[SUCCESS]: Database connected successfully');
-    release();
-  }
-});
+// Answers 503 with Retry-After for routes that need the database while it's down
+const requireDatabase = health.requireDatabase;
+
+// First, so every later log entry carries the request id
+app.use(requestLogger);
+app.use(trackRequests);
 
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
@@ -55,143 +105,602 @@ app.use(cors({
   credentials: true
 }));
 
-function calculateChange(eloChange, recentChange) {  
-  // Check if both changes have the same sign (both positive, both negative, or one is zero)
-  if ((eloChange >= 0 && recentChange >= 0) || (eloChange <= 0 && recentChange <= 0)) {
-    return recentChange + eloChange;
-  } else {
-    return eloChange;
+// Checks path parameters, query and body against the route's OpenAPI operation
+const validate = validateRequest(openapi);
+
+// Shared by the vote rate limiters and the repeat vote auditor
+const rateLimitStore = createStore(pool);
+
+const voteRateLimiters = [
+  rateLimit({
+    name: 'vote-ip',
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.VOTE_RATE_LIMIT_PER_IP) || 30,
+    keyGenerator: (request) => request.ip,
+    store: rateLimitStore
+  }),
+  rateLimit({
+    name: 'vote-session',
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.VOTE_RATE_LIMIT_PER_SESSION) || 20,
+    keyGenerator: (request) => request.get('X-Session-Id') || null,
+    store: rateLimitStore
+  })
+];
+
+// Runs in the background after a vote is applied, failures are only logged
+const auditVote = (request, characterId) => {
+  flagRepeatedVotes(pool, rateLimitStore, {
+    ip: request.ip,
+    sessionId: request.get('X-Session-Id') || null,
+    characterId,
+    route: `${request.method} ${request.route.path}`
+  }).catch(error => {
+    logger.error('failed to audit vote', { character_id: characterId, error });
+  });
+};
+
+/**
+ * Looks up the category named by the ?category= query parameter
+ * @param {Object} request - Express request
+ * @returns {Promise<Object|null|false>} The category, null if none was requested, or false if the slug doesn't exist
+ */
+async function findRequestedCategory(request) {
+  if (!request.query.category) {
+    return null;
   }
+  return (await getCategoryBySlug(pool, request.query.category)) || false;
 }
 
-const getCharacters = (request, response) => {
-  pool.query('SELECT * FROM characters ORDER BY elo DESC, first_name ASC', (error, results) => {
-    if (error) {
-      console.error("[ERROR]: cannot SELECT from characters table:", error.message);
-      return response.status(500).json({
-        error: "Database error",
-        message: "Failed to retrieve characters"
-      });
-    }
-    response.status(200).json(results.rows);
+const categoryNotFound = (request, response) => {
+  logger.warn('category not found', { category: request.query.category });
+  return response.status(404).json({
+    error: 'Category not found',
+    message: `No category found with slug: ${request.query.category}`
   });
 };
 
-const getCharacterById = (request, response) => {
-  const id = request.params.id;
-  
-  if (!id || id.trim() === '') {
-    console.error("[ERROR]: Invalid character ID provided:", id);
+// Most responses kept for serving while the database is down
+const LAST_KNOWN_RESPONSES = 200;
+// Last good response for the routes that keep working while the database is
+// down, keyed by route and query
+const lastKnownResponses = new Map();
+
+/**
+ * Remembers a good response so it can be served while the database is down
+ * @param {string} key - Response key
+ * @param {Object|Array} body - The response body
+ */
+function rememberResponse(key, body) {
+  // Re-insert so the oldest response is the first one dropped
+  lastKnownResponses.delete(key);
+  lastKnownResponses.set(key, { body, cachedAt: new Date().toISOString() });
+  if (lastKnownResponses.size > LAST_KNOWN_RESPONSES) {
+    lastKnownResponses.delete(lastKnownResponses.keys().next().value);
+  }
+}
+
+/**
+ * Serves the last good copy of a response while the database is down
+ * @param {Object} response - Express response
+ * @param {string} key - Response key
+ * @returns {Object} The Express response
+ */
+function serveLastKnownResponse(response, key) {
+  const cached = lastKnownResponses.get(key);
+
+  if (!cached) {
+    logger.warn('no cached response to serve while the database is down', { key });
+    response.setHeader('Retry-After', Math.ceil(HEALTH_CHECK_INTERVAL_MS / 1000));
+    return response.status(503).json({
+      error: 'Service unavailable',
+      message: 'The database is temporarily unavailable, try again shortly'
+    });
+  }
+
+  response.setHeader('X-Degraded', 'true');
+  // Keep the stale copy out of the response cache
+  response.setHeader('Cache-Control', 'no-store');
+  // Arrays (GET /characters/:id) can't carry the extra fields, X-Degraded has to do
+  if (Array.isArray(cached.body)) {
+    return response.status(200).json(cached.body);
+  }
+  return response.status(200).json({ ...cached.body, stale: true, cached_at: cached.cachedAt });
+}
+
+const getCharacters = async (request, response) => {
+  const { limit } = parsePagination(request.query);
+  const sort = request.query.sort || 'elo';
+  const order = request.query.order || (sort === 'name' ? 'asc' : 'desc');
+  const minGames = parseInt(request.query.min_games) || 0;
+  const q = (request.query.q || '').trim();
+
+  const offset = request.query.cursor ? decodeCursor(request.query.cursor) : 0;
+  if (offset === null) {
+    logger.warn('invalid cursor for characters', { cursor: request.query.cursor });
     return response.status(400).json({
-      error: "Invalid input",
-      message: "Character ID is required"
+      error: 'Invalid input',
+      message: 'cursor is malformed, use the next_cursor from a previous response'
+    });
+  }
+
+  if (request.query.category && GLOBAL_ONLY_SORT_KEYS.includes(sort)) {
+    logger.warn('sort not available within a category', { sort, category: request.query.category });
+    return response.status(400).json({
+      error: 'Invalid input',
+      message: `sort=${sort} can't be used with category, only elo is tracked per category`
+    });
+  }
+
+  // The frontend polls this for its leaderboard, so it keeps working while the database is down
+  const key = request.originalUrl;
+  if (!health.isDatabaseUp()) {
+    return serveLastKnownResponse(response, key);
+  }
+
+  try {
+    const category = await findRequestedCategory(request);
+    if (category === false) {
+      return categoryNotFound(request, response);
+    }
+
+    const categoryId = category ? category.id : null;
+    const result = await listCharacters(pool, { limit, offset, sort, order, minGames, q, categoryId });
+    const nextOffset = offset + result.characters.length;
+    const body = {
+      category,
+      characters: result.characters,
+      total: result.total,
+      limit,
+      next_cursor: nextOffset < result.total ? encodeCursor(nextOffset) : null
+    };
+
+    rememberResponse(key, body);
+    response.status(200).json(body);
+  } catch (error) {
+    if (isConnectionError(error)) {
+      health.markDown(error);
+      return serveLastKnownResponse(response, key);
+    }
+
+    logger.error('cannot SELECT from characters table', { error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve characters"
+    });
+  }
+};
+
+const getCharacterById = async (request, response) => {
+  const id = request.params.id;
+  const key = request.originalUrl;
+
+  if (!health.isDatabaseUp()) {
+    return serveLastKnownResponse(response, key);
+  }
+
+  try {
+    const character = await getRankedCharacter(pool, id);
+    const body = character ? [character] : [];
+
+    rememberResponse(key, body);
+    response.status(200).json(body);
+  } catch (error) {
+    if (isConnectionError(error)) {
+      health.markDown(error);
+      return serveLastKnownResponse(response, key);
+    }
+
+    logger.error('cannot SELECT character by ID', { character_id: id, error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve character"
     });
   }
+};
+
+// Admin-only manual correction. Votes go through POST /matches, so this
+// isn't counted or audited as one.
+const updateCharacterElo = async (request, response) => {
+  const id = request.params.id;
+  // Checked by validate. recent_change is still accepted from older clients
+  // but ignored, it's now derived from the elo history.
+  const { wins_change, losses_change, elo_change } = request.body;
   
-  pool.query('SELECT * FROM characters WHERE id = $1', [id], (error, results) => {
-    if (error) {
-      console.error("[ERROR]: cannot SELECT character by ID:", error.message);
-      return response.status(500).json({
-        error: "Database error",
-        message: "Failed to retrieve character"
+  try {
+    const character = await adjustCharacterElo(pool, id, Number(wins_change), Number(losses_change), Number(elo_change));
+    
+    if (!character) {
+      logger.warn('character not found', { character_id: id });
+      return response.status(404).json({
+        error: 'Character not found',
+        message: `No character found with id: ${id}`
       });
     }
-    response.status(200).json(results.rows);
-  });
+
+    // Also invalidated by the notification from adjustCharacterElo, this just
+    // makes sure the client's next read sees its own vote
+    responseCache.invalidate('elo');
+    publishEloChanges([{ character, delta: Number(elo_change) }]);
+    
+    logger.info('manually adjusted character elo', { character_id: id, elo_change: Number(elo_change) });
+    response.status(200).json({
+      message: 'Character ELO updated successfully',
+      character
+    });
+  } catch (error) {
+    logger.error('failed to update character', { character_id: id, error });
+    response.status(500).json({
+      error: 'Database error',
+      message: 'Failed to update character'
+    });
+  }
 };
 
-const updateCharacterElo = (request, response) => {
+const getCharacterEloHistory = async (request, response) => {
   const id = request.params.id;
-  const { wins_change, losses_change, elo_change, recent_change } = request.body;
-  
-  // Validate character ID
-  if (!id || id.trim() === '') {
-    console.error("[ERROR]: Invalid character ID provided:", id);
+  const bucket = request.query.bucket || 'day';
+
+  // Default to the last 30 days
+  const to = request.query.to ? new Date(request.query.to) : new Date();
+  const from = request.query.from ? new Date(request.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    logger.warn('invalid elo history range', { from: request.query.from, to: request.query.to });
     return response.status(400).json({
-      error: "Invalid input",
-      message: "Character ID is required"
+      error: 'Invalid input',
+      message: 'from must be before to'
     });
   }
-  
-  // Validate that all required fields are present
-  if (wins_change === undefined || losses_change === undefined || elo_change === undefined || recent_change === undefined) {
-    console.error(`[ERROR]: missing fields for character ${id}`);
-    return response.status(400).json({
-      error: 'Missing required fields',
-      message: 'All fields are required: wins_change, losses_change, elo_change, recent_change'
+
+  try {
+    const points = await getEloHistory(pool, id, from, to, bucket);
+    response.status(200).json({
+      character_id: id,
+      bucket,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      points
+    });
+  } catch (error) {
+    logger.error('cannot SELECT elo history', { character_id: id, error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve elo history"
     });
   }
-  
-  // Validate that the changes are numbers
-  if (isNaN(wins_change) || isNaN(losses_change) || isNaN(elo_change) || isNaN(recent_change)) {
-    console.error(`[ERROR]: non-numeric values provided for character ${id}`);
+};
+
+const getMatchup = async (request, response) => {
+  try {
+    const category = await findRequestedCategory(request);
+    if (category === false) {
+      return categoryNotFound(request, response);
+    }
+
+    const characters = await pickMatchup(pool, category ? category.id : null);
+
+    if (!characters) {
+      logger.warn('not enough characters to create a matchup');
+      return response.status(404).json({
+        error: 'Not enough characters',
+        message: 'At least two characters are needed to create a matchup'
+      });
+    }
+
+    const { token, expiresAt } = createMatchupToken(characters[0].id, characters[1].id);
+
+    response.status(200).json({
+      category,
+      characters,
+      token,
+      expires_at: expiresAt.toISOString()
+    });
+  } catch (error) {
+    logger.error('failed to create matchup', { error });
+    response.status(500).json({
+      error: 'Database error',
+      message: 'Failed to create matchup'
+    });
+  }
+};
+
+const createMatch = async (request, response) => {
+  const { token, winner_id } = request.body;
+  const matchup = verifyMatchupToken(token);
+
+  if (!matchup) {
+    logger.warn('invalid or expired matchup token');
     return response.status(400).json({
-      error: 'Invalid input',
-      message: 'All change values must be numbers'
+      error: 'Invalid token',
+      message: 'Matchup token is invalid or has expired, request a new matchup'
     });
   }
-  
-  // Validate that no extra fields are provided
-  const allowedFields = ['wins_change', 'losses_change', 'elo_change', 'recent_change'];
-  const providedFields = Object.keys(request.body);
-  const invalidFields = providedFields.filter(field => !allowedFields.includes(field));
-  
-  if (invalidFields.length > 0) {
-    console.error(`[ERROR]: invalid fields provided for character ${id}:`, invalidFields);
+
+  if (!matchup.characterIds.includes(winner_id)) {
+    logger.warn('winner is not part of the matchup', { winner_id, token_id: matchup.tokenId });
     return response.status(400).json({
-      error: 'Invalid fields provided',
-      message: `Only these fields are allowed: ${allowedFields.join(', ')}`,
-      invalidFields: invalidFields
+      error: 'Invalid input',
+      message: 'winner_id must be one of the characters in the matchup'
     });
   }
-  
-  const last_change = calculateChange(elo_change, recent_change);
-  
-  // Use incremental updates to prevent race conditions
-  const query = `
-    UPDATE characters 
-    SET 
-      wins = wins + $1, 
-      losses = losses + $2, 
-      elo = elo + $3, 
-      recent_change = $4 
-    WHERE id = $5 
-    RETURNING *`;
-  
-  pool.query(query, [wins_change, losses_change, elo_change, last_change, id], (error, results) => {
-    if (error) {
-      console.error(`[ERROR]: Failed to update character ${id}:`, error.message);
-      return response.status(500).json({
-        error: 'Database error',
-        message: 'Failed to update character'
+
+  const loser_id = matchup.characterIds.find(id => id !== winner_id);
+
+  try {
+    const result = await applyMatch(pool, winner_id, loser_id, matchup);
+
+    if (!result) {
+      logger.warn('character not found for match', { winner_id, loser_id });
+      return response.status(404).json({
+        error: 'Character not found',
+        message: 'Both characters in the matchup must still exist'
       });
     }
-    
-    if (results.rows.length === 0) {
-      console.error(`[ERROR]: Character not found: ${id}`);
+
+    votesApplied.inc({ source: 'match' });
+    auditVote(request, winner_id);
+    responseCache.invalidate('elo');
+    publishEloChanges([
+      { character: result.winner, delta: result.winnerChange, matchId: result.match.id },
+      { character: result.loser, delta: result.loserChange, matchId: result.match.id }
+    ]);
+
+    logger.info('match recorded', {
+      match_id: result.match.id,
+      winner_id,
+      loser_id,
+      winner_change: result.winnerChange,
+      loser_change: result.loserChange
+    });
+    response.status(201).json({
+      message: 'Match recorded successfully',
+      match: result.match,
+      winner: result.winner,
+      loser: result.loser,
+      winner_change: result.winnerChange,
+      loser_change: result.loserChange,
+      category_changes: result.categoryChanges
+    });
+  } catch (error) {
+    if (error.code === 'TOKEN_ALREADY_USED') {
+      logger.warn('matchup token was already used', { token_id: matchup.tokenId });
+      return response.status(409).json({
+        error: 'Token already used',
+        message: 'A vote has already been recorded for this matchup'
+      });
+    }
+
+    logger.error('failed to record match', { winner_id, loser_id, error });
+    response.status(500).json({
+      error: 'Database error',
+      message: 'Failed to record match'
+    });
+  }
+};
+
+// Page size used when a paginated route isn't given a limit
+const DEFAULT_PAGE_SIZE = 20;
+// Largest page size a client is allowed to request
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reads limit/offset query parameters, clamping them to sane values
+ * @param {Object} query - Express request.query
+ * @returns {Object} { limit, offset }
+ */
+function parsePagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+}
+
+const getCharacterMatchHistory = async (request, response) => {
+  const id = request.params.id;
+  const { limit, offset } = parsePagination(request.query);
+
+  try {
+    const result = await getCharacterMatches(pool, id, limit, offset);
+    response.status(200).json({
+      matches: result.matches,
+      total: result.total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    logger.error('cannot SELECT matches for character', { character_id: id, error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve match history"
+    });
+  }
+};
+
+// How many of their latest meetings the head-to-head endpoint returns
+const HEAD_TO_HEAD_MATCHES = 5;
+// How many of each character's latest matches make up their recent form
+const FORM_MATCHES = 10;
+
+const compareCharacters = async (request, response) => {
+  const { a, b } = request.params;
+
+  if (a === b) {
+    logger.warn('cannot compare a character with itself', { character_id: a });
+    return response.status(400).json({
+      error: 'Invalid input',
+      message: 'a and b must be different characters'
+    });
+  }
+
+  try {
+    // Independent queries, run together. The match queries are cheap enough
+    // that it's not worth waiting to see if both characters exist first.
+    const [first, second, headToHead, formA, formB] = await Promise.all([
+      getRankedCharacter(pool, a),
+      getRankedCharacter(pool, b),
+      getHeadToHead(pool, a, b, HEAD_TO_HEAD_MATCHES),
+      getRecentForm(pool, a, FORM_MATCHES),
+      getRecentForm(pool, b, FORM_MATCHES)
+    ]);
+
+    const missing = !first ? a : !second ? b : null;
+    if (missing) {
+      logger.warn('character not found', { character_id: missing });
       return response.status(404).json({
         error: 'Character not found',
-        message: `No character found with id: ${id}`
+        message: `No character found with id: ${missing}`
       });
     }
-    
-    console.log(`[SUCCESS]: Updated character ${results.rows[0].first_name} (${id})`);
+
+    const probability = expectedScore(first.elo, second.elo);
+
     response.status(200).json({
-      message: 'Character ELO updated successfully',
-      character: results.rows[0]
+      a: first,
+      b: second,
+      prediction: {
+        a_win_probability: Math.round(probability * 1000) / 1000,
+        b_win_probability: Math.round((1 - probability) * 1000) / 1000
+      },
+      head_to_head: headToHead,
+      form: {
+        a: formA,
+        b: formB
+      }
     });
-  });
+  } catch (error) {
+    logger.error('cannot compare characters', { a, b, error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to compare characters"
+    });
+  }
+};
+
+const getRecentMatchFeed = async (request, response) => {
+  const { limit } = parsePagination(request.query);
+
+  try {
+    const matches = await getRecentMatches(pool, limit);
+    response.status(200).json({ matches });
+  } catch (error) {
+    logger.error('cannot SELECT recent matches', { error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve recent matches"
+    });
+  }
+};
+
+const getLeaderboardPage = async (request, response) => {
+  const { limit, offset } = parsePagination(request.query);
+  const key = `/leaderboard:${request.query.category || ''}:${limit}:${offset}`;
+
+  if (!health.isDatabaseUp()) {
+    return serveLastKnownResponse(response, key);
+  }
+
+  try {
+    const category = await findRequestedCategory(request);
+    if (category === false) {
+      return categoryNotFound(request, response);
+    }
+
+    const result = await getLeaderboard(pool, limit, offset, category ? category.id : null);
+    const body = {
+      category,
+      characters: result.characters,
+      total: result.total,
+      limit,
+      offset
+    };
+
+    rememberResponse(key, body);
+    response.status(200).json(body);
+  } catch (error) {
+    if (isConnectionError(error)) {
+      health.markDown(error);
+      return serveLastKnownResponse(response, key);
+    }
+
+    logger.error('cannot SELECT leaderboard', { error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve leaderboard"
+    });
+  }
+};
+
+const getCategories = async (request, response) => {
+  try {
+    const categories = await listCategories(pool);
+    response.status(200).json({ categories });
+  } catch (error) {
+    logger.error('cannot SELECT categories', { error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve categories"
+    });
+  }
+};
+
+const getLeaderboardMovers = async (request, response) => {
+  const window = request.query.window || '24h';
+  const windowHours = parseWindow(window);
+
+  if (!windowHours) {
+    logger.warn('invalid movers window', { window });
+    return response.status(400).json({
+      error: 'Invalid input',
+      message: 'window must be a number followed by h, d or w, e.g. 24h or 7d, and at most 52w'
+    });
+  }
+
+  const { limit } = parsePagination(request.query);
+
+  try {
+    const movers = await getMovers(pool, windowHours, limit);
+    response.status(200).json({
+      window,
+      risers: movers.risers,
+      fallers: movers.fallers
+    });
+  } catch (error) {
+    logger.error('cannot SELECT leaderboard movers', { error });
+    response.status(500).json({
+      error: "Database error",
+      message: "Failed to retrieve leaderboard movers"
+    });
+  }
 };
 
 const scrapeCharacters = async (request, response) => {
+  const dryRun = request.query.dry_run === 'true';
+
   try {
-    await populateCharacters(pool);
+    const result = await populateCharacters(pool, { dryRun });
+
+    if (dryRun) {
+      return response.status(200).json({
+        message: 'Dry run finished, nothing was saved',
+        report: result
+      });
+    }
+
+    responseCache.invalidate('scrape');
     response.status(200).json({ 
-      message: 'Characters scraped and saved successfully',
-      timestamp: new Date().toISOString()
+      message: 'Characters scraped and synced successfully',
+      summary: result
     });
   } catch (error) {
-    console.error('Error scraping characters:', error);
+    logger.error('failed to scrape characters', { error });
+
+    if (error.code === 'ESCRAPEDROP') {
+      return response.status(409).json({
+        error: 'Scrape refused',
+        message: error.message
+      });
+    }
+
     response.status(500).json({ 
       error: 'Failed to scrape characters',
       message: error.message 
@@ -201,81 +710,170 @@ const scrapeCharacters = async (request, response) => {
 
 const updateCharacterImages = async (request, response) => {
   try {
-    // Get delay from query parameter or use default of 1000ms
-    const delay = parseInt(request.query.delay) || 1000;
-    
-    console.log(`Starting character image update with ${delay}ms delay between requests...`);
-    const result = await updateCharacterImagesFromPages(pool, delay);
+    // Runs as a job, it takes far too long to hold the request open
+    const job = await createJob(pool, 'update-character-images', { delay: request.query.delay });
     
-    response.status(200).json({ 
-      message: 'Character images updated successfully',
-      summary: result
+    response.status(202).json({ 
+      message: 'Character image update started',
+      job
     });
   } catch (error) {
-    console.error('Error updating character images:', error);
+    logger.error('failed to start character image update', { error });
     response.status(500).json({ 
-      error: 'Failed to update character images',
+      error: 'Failed to start character image update',
       message: error.message 
     });
   }
 };
 
-app.get('/characters', getCharacters);
-app.get('/characters/:id', getCharacterById);
-app.put('/characters/:id/elo', updateCharacterElo);
+const startJob = async (request, response) => {
+  const { type, delay, concurrency } = request.body;
 
-app.post('/scrape-characters', scrapeCharacters);
-app.post('/update-character-images', updateCharacterImages);
+  try {
+    const job = await createJob(pool, type, { delay, concurrency });
+    response.status(202).json(job);
+  } catch (error) {
+    logger.error('cannot start job', { type, error });
+    response.status(500).json({
+      error: 'Failed to start job',
+      message: error.message
+    });
+  }
+};
 
-app.get('/image-proxy', async (req, res) => {
+const getJobById = async (request, response) => {
   try {
-    const imageUrl = req.query.url;
-    
-    if (!imageUrl) {
-      console.error("[ERROR]: Image proxy called without URL parameter");
-      return res.status(400).json({ error: 'URL parameter is required' });
+    const job = await getJob(pool, request.params.id);
+
+    if (!job) {
+      return response.status(404).json({
+        error: 'Job not found',
+        message: `Job with ID ${request.params.id} does not exist`
+      });
     }
-    
-    console.log(`[INFO]: Proxying image: ${imageUrl}`);
-    
-    const response = await axios({
-      method: 'GET',
-      url: imageUrl,
-      responseType: 'stream',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; bot)',
-        'Referer': 'https://onepiece.fandom.com/'
-      },
-      timeout: 10000 // 10 second timeout
+
+    response.status(200).json(job);
+  } catch (error) {
+    logger.error('cannot SELECT job', { job_id: request.params.id, error });
+    response.status(500).json({
+      error: 'Database error',
+      message: 'Failed to retrieve job'
     });
-    
-    // Set appropriate headers
-    res.setHeader('Content-Type', response.headers['content-type'] || 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-    res.setHeader('Access-Control-Allow-Origin', '*'); // Allow CORS
-    
-    // Pipe the image data to the response
-    response.data.pipe(res);
-    
+  }
+};
+
+// Swagger UI for the OpenAPI document, loaded from a CDN
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${openapi.info.title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`;
+
+// Cached reads come before requireDatabase, so cached copies are still served while it's down.
+// /characters, /characters/:id and /leaderboard serve their last known copy after that.
+app.get('/characters', validate, cached, getCharacters);
+app.get('/characters/:id', validate, cached, getCharacterById);
+app.put('/characters/:id/elo', requireAdmin, requireDatabase, validate, updateCharacterElo);
+app.get('/characters/:id/matches', validate, cached, requireDatabase, getCharacterMatchHistory);
+app.get('/characters/:id/elo-history', validate, cached, requireDatabase, getCharacterEloHistory);
+app.get('/characters/:a/vs/:b', validate, cached, requireDatabase, compareCharacters);
+app.get('/categories', validate, cached, requireDatabase, getCategories);
+app.get('/leaderboard', validate, cached, getLeaderboardPage);
+app.get('/leaderboard/movers', validate, cached, requireDatabase, getLeaderboardMovers);
+app.get('/matchup', requireDatabase, validate, getMatchup);
+// Validated before the limiters, which key on the X-Session-Id header
+app.post('/matches', requireDatabase, validate, voteRateLimiters, createMatch);
+app.get('/matches/recent', requireDatabase, validate, getRecentMatchFeed);
+app.get('/stream/leaderboard', validate, streamLeaderboard);
+
+// Liveness, only fails if the process can't respond at all
+app.get('/healthz', (req, res) => {
+  res.status(200).json({
+    status: health.isDatabaseUp() ? 'ok' : 'degraded',
+    uptime_seconds: Math.round(process.uptime()),
+    ...health.status()
+  });
+});
+
+// Readiness, fails while the database is down or migrations haven't run
+app.get('/readyz', (req, res) => {
+  const ready = health.isDatabaseUp() && startupComplete;
+
+  if (!ready) {
+    res.setHeader('Retry-After', Math.ceil(HEALTH_CHECK_INTERVAL_MS / 1000));
+  }
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    migrations: startupComplete ? 'complete' : 'pending',
+    ...health.status()
+  });
+});
+
+app.get('/metrics', serveMetrics);
+
+app.get('/openapi.json', (req, res) => {
+  res.json(openapi);
+});
+
+app.get('/docs', (req, res) => {
+  res.type('html').send(DOCS_PAGE);
+});
+
+// Admin routes
+app.post('/scrape-characters', requireAdmin, requireDatabase, validate, scrapeCharacters);
+app.post('/update-character-images', requireAdmin, requireDatabase, validate, updateCharacterImages);
+app.post('/jobs', requireAdmin, requireDatabase, validate, startJob);
+app.get('/jobs/:id', requireAdmin, requireDatabase, validate, getJobById);
+
+app.get('/image-proxy', validate, async (req, res) => {
+  const imageUrl = req.query.url;
+  const width = req.query.w ? parseInt(req.query.w) : null;
+  
+  let image;
+  try {
+    image = await getCachedImage(imageUrl, width);
+    imageProxyRequests.inc({ result: image.cacheHit ? 'hit' : 'miss' });
+    logger.debug('proxying image', { url: imageUrl, cache_hit: image.cacheHit });
+    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
   } catch (error) {
-    console.error('[ERROR]: Error proxying image:', error.message);
-    
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'Image not found' });
-    } else if (error.code === 'ECONNABORTED') {
-      res.status(504).json({ error: 'Request timeout' });
-    } else if (error.code === 'ENOTFOUND') {
-      res.status(400).json({ error: 'Invalid URL or host not found' });
-    } else {
-      res.status(500).json({ error: 'Failed to fetch image' });
+    if (REFUSED_CODES.includes(error.code)) {
+      logger.warn('image proxy refused url', { url: imageUrl, error });
+      return res.status(400).json({ error: 'URL is not allowed', message: error.message });
     }
+    
+    // Serve a placeholder so the voting UI still renders when the wiki is down
+    imageProxyRequests.inc({ result: 'fallback' });
+    logger.error('failed to proxy image, serving placeholder', { url: imageUrl, error });
+    image = PLACEHOLDER;
+    res.setHeader('Cache-Control', 'public, max-age=60'); // Retry the real image soon
+    res.setHeader('X-Image-Fallback', 'true');
   }
+  
+  res.setHeader('Content-Type', image.contentType);
+  res.setHeader('ETag', image.etag);
+  res.setHeader('Access-Control-Allow-Origin', '*'); // Allow CORS
+  
+  // req.fresh compares If-None-Match against the ETag set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  res.send(image.buffer);
 });
 
 // Global error handler for unhandled errors
 app.use((error, req, res, next) => {
-  console.error('[ERROR]: Unhandled error:', error.message);
-  console.error(error.stack);
+  logger.error('unhandled error', { error });
   
   if (res.headersSent) {
     return next(error);
@@ -293,7 +891,6 @@ app.get('/', (req, res) => {
 
 // Handle 404 for undefined routes
 app.use((req, res) => {
-  console.error(`[ERROR]: 404 - Route not found: ${req.method} ${req.originalUrl}`);
   res.status(404).json({
     error: 'Route not found',
     message: `The requested route ${req.method} ${req.originalUrl} does not exist`
@@ -301,35 +898,38 @@ app.use((req, res) => {
 });
 
 app.listen(port, () => {
-  console.log(`[SUCCESS]: Server is running on port ${port}`);
+  logger.info('server is running', { port });
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('[FATAL]: Uncaught Exception:', error.message);
-  console.error(error.stack);
+  logger.fatal('uncaught exception', { error });
   process.exit(1);
 });
 
 // Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[FATAL]: Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.fatal('unhandled rejection', { error: reason });
   process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('[INFO]: Received SIGINT. Graceful shutdown...');
+  logger.info('received SIGINT, shutting down');
+  health.stop();
+  responseCache.stop();
   pool.end(() => {
-    console.log('[INFO]: Database connections closed.');
+    logger.info('database connections closed');
     process.exit(0);
   });
 });
 
 process.on('SIGTERM', () => {
-  console.log('[INFO]: Received SIGTERM. Graceful shutdown...');
+  logger.info('received SIGTERM, shutting down');
+  health.stop();
+  responseCache.stop();
   pool.end(() => {
-    console.log('[INFO]: Database connections closed.');
+    logger.info('database connections closed');
     process.exit(0);
   });
 });
\ No newline at end of file
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const os = require('os');
+const { scrapeAndSaveCharacters, updateCharacterDetails } = require('./scraper');
+const { refreshCategoryMembers } = require('./categories');
+const { notifyDataChanged } = require('./cache');
+const { createLogger } = require('./logger');
+const { jobsFinished, jobItemsFinished } = require('./metrics');
+const { isConnectionError } = require('./health');
+
+const logger = createLogger({ module: 'jobs' });
+
+// Default pause between starting two items of a job, in milliseconds
+const DEFAULT_DELAY = 1000;
+// Default and maximum number of items a job works on at once
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 5;
+// How often a running job's claim is renewed, and how long a claim lasts
+// without renewal before another process may take the job over
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const LOCK_TIMEOUT_SECONDS = 60;
+// How long to wait before retrying a job interrupted by a database outage
+const RETRY_DELAY_MS = 30 * 1000;
+// Identifies this process in jobs.locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Job types. plan lists the items a job will work through, runItem does one
+ * of them and finish builds the job's result once every item is done.
+ * runItem returns { status: 'done' | 'skipped', result, error } and throws
+ * to mark the item failed.
+ */
+const JOB_TYPES = {
+  'scrape-characters': {
+    plan: async () => [{ key: 'character-list', label: 'Character list' }],
+    runItem: async (pool) => ({ status: 'done', result: await scrapeAndSaveCharacters(pool) }),
+    finish: async (pool, results) => results[0] || null
+  },
+
+  'update-character-images': {
+    plan: async (pool) => {
+      const result = await pool.query('SELECT id, first_name FROM characters WHERE active ORDER BY first_name');
+      return result.rows.map(row => ({ key: row.id, label: row.first_name }));
+    },
+    runItem: async (pool, characterId) => {
+      const result = await pool.query('SELECT id, slug, first_name FROM characters WHERE id = $1', [characterId]);
+      if (result.rows.length === 0) {
+        return { status: 'skipped', error: 'Character no longer exists' };
+      }
+
+      const updated = await updateCharacterDetails(pool, result.rows[0]);
+      return updated
+        ? { status: 'done' }
+        : { status: 'skipped', error: 'Page could not be scraped' };
+    },
+    // Affiliations may have changed, so put characters into any new categories.
+    // Cached responses are dropped once here rather than after every character.
+    finish: async (pool) => {
+      const added = await refreshCategoryMembers(pool);
+      await notifyDataChanged(pool, 'scrape');
+      return { category_members_added: added };
+    }
+  }
+};
+
+// Jobs being run by this process. Other processes are kept out by the claim
+// in jobs.locked_by.
+const runningJobs = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Clamps the delay and concurrency a job was requested with
+ * @param {Object} params - Requested { delay, concurrency }
+ * @returns {Object} { delay, concurrency }
+ */
+function normalizeParams({ delay, concurrency } = {}) {
+  const parsedDelay = parseInt(delay);
+  const parsedConcurrency = parseInt(concurrency);
+
+  return {
+    delay: Number.isNaN(parsedDelay) ? DEFAULT_DELAY : Math.max(parsedDelay, 0),
+    concurrency: Number.isNaN(parsedConcurrency)
+      ? DEFAULT_CONCURRENCY
+      : Math.min(Math.max(parsedConcurrency, 1), MAX_CONCURRENCY)
+  };
+}
+
+/**
+ * Gets a job with its progress and the items that failed or were skipped
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object|null>} The job, or null if it doesn't exist
+ */
+async function getJob(pool, jobId) {
+  const result = await pool.query(
+    `SELECT
+       j.*,
+       COUNT(i.item_key) FILTER (WHERE i.status <> 'pending')::int AS processed,
+       COUNT(i.item_key) FILTER (WHERE i.status = 'done')::int AS succeeded,
+       COUNT(i.item_key) FILTER (WHERE i.status = 'skipped')::int AS skipped,
+       COUNT(i.item_key) FILTER (WHERE i.status = 'failed')::int AS failed
+     FROM jobs j
+     LEFT JOIN job_items i ON i.job_id = j.id
+     WHERE j.id = $1
+     GROUP BY j.id`,
+    [jobId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const failures = await pool.query(
+    `SELECT item_key, label, status, error, attempts, updated_at
+     FROM job_items
+     WHERE job_id = $1 AND status IN ('failed', 'skipped')
+     ORDER BY position ASC`,
+    [jobId]
+  );
+
+  return { ...result.rows[0], failures: failures.rows };
+}
+
+/**
+ * Runs a job's remaining items and records its result. Items already done,
+ * skipped or failed are left alone, so this also resumes an interrupted job.
+ * Items are started at most concurrency at a time and at least delay apart.
+ * The job is claimed first, and skipped if another live process holds it.
+ * If the database goes away the job is left running and retried later.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} jobId - ID of the job
+ */
+async function runJob(pool, jobId) {
+  if (runningJobs.has(jobId)) {
+    return;
+  }
+  runningJobs.add(jobId);
+
+  // Known once the job row has been loaded, for the failure metric below
+  let type = 'unknown';
+  let heartbeat = null;
+  // Set when a worker hits an error or the claim is lost, so the rest stop
+  let stopped = false;
+  let workerError = null;
+
+  try {
+    // Atomic, only one process's UPDATE can match an unclaimed or abandoned job
+    const jobResult = await pool.query(
+      `UPDATE jobs
+       SET status = 'running', started_at = COALESCE(started_at, NOW()), locked_by = $2, heartbeat_at = NOW()
+       WHERE id = $1
+         AND status IN ('pending', 'running')
+         AND (locked_by IS NULL OR locked_by = $2 OR heartbeat_at < NOW() - INTERVAL '${LOCK_TIMEOUT_SECONDS} seconds')
+       RETURNING *`,
+      [jobId, WORKER_ID]
+    );
+    if (jobResult.rows.length === 0) {
+      return;
+    }
+
+    heartbeat = setInterval(() => {
+      pool.query('UPDATE jobs SET heartbeat_at = NOW() WHERE id = $1 AND locked_by = $2', [jobId, WORKER_ID])
+        .then(result => {
+          if (result.rowCount === 0) {
+            logger.warn('lost the claim on a job, stopping', { job_id: jobId });
+            stopped = true;
+          }
+        })
+        .catch(error => {
+          logger.warn('failed to renew job claim', { job_id: jobId, error });
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    const job = jobResult.rows[0];
+    type = job.type;
+    const jobType = JOB_TYPES[job.type];
+    const { delay, concurrency } = normalizeParams(job.params);
+
+    const pending = await pool.query(
+      `SELECT item_key FROM job_items
+       WHERE job_id = $1 AND status = 'pending'
+       ORDER BY position ASC`,
+      [jobId]
+    );
+    const keys = pending.rows.map(row => row.item_key);
+
+    logger.info('running job', { job_id: jobId, type: job.type, remaining: keys.length, total: job.total });
+
+    let next = 0;
+    let nextStartAt = 0;
+
+    // Each worker takes the next pending item until there are none left
+    const worker = async () => {
+      while (!stopped && next < keys.length) {
+        const key = keys[next++];
+
+        // Space out item starts across all workers, to be respectful to the wiki
+        const wait = nextStartAt - Date.now();
+        nextStartAt = Math.max(nextStartAt, Date.now()) + delay;
+        if (wait > 0) {
+          await sleep(wait);
+        }
+
+        if (stopped) {
+          return;
+        }
+
+        await pool.query(
+          'UPDATE job_items SET attempts = attempts + 1, updated_at = NOW() WHERE job_id = $1 AND item_key = $2',
+          [jobId, key]
+        );
+
+        let outcome;
+        try {
+          outcome = await jobType.runItem(pool, key);
+        } catch (error) {
+          logger.error('job item failed', { job_id: jobId, type: job.type, item_key: key, error });
+          outcome = { status: 'failed', error: error.message };
+        }
+        jobItemsFinished.inc({ type: job.type, status: outcome.status });
+
+        await pool.query(
+          `UPDATE job_items SET status = $3, result = $4, error = $5, updated_at = NOW()
+           WHERE job_id = $1 AND item_key = $2`,
+          [jobId, key, outcome.status, outcome.result ? JSON.stringify(outcome.result) : null, outcome.error || null]
+        );
+      }
+    };
+
+    // Wait for every worker to stop before handling an error, so none is
+    // still running when the job is retried
+    await Promise.all(Array.from({ length: Math.min(concurrency, keys.length) }, () => worker().catch(error => {
+      stopped = true;
+      workerError = workerError || error;
+    })));
+    if (workerError) {
+      throw workerError;
+    }
+    if (stopped) {
+      return;
+    }
+
+    const items = await pool.query(
+      'SELECT status, result FROM job_items WHERE job_id = $1 ORDER BY position ASC',
+      [jobId]
+    );
+    const succeeded = items.rows.filter(item => item.status === 'done');
+    const allFailed = items.rows.length > 0 && items.rows.every(item => item.status === 'failed');
+
+    const result = await jobType.finish(pool, succeeded.map(item => item.result));
+
+    await pool.query(
+      `UPDATE jobs SET status = $2, result = $3, error = $4, finished_at = NOW(), locked_by = NULL
+       WHERE id = $1`,
+      [jobId, allFailed ? 'failed' : 'completed', JSON.stringify(result), allFailed ? 'Every item failed' : null]
+    );
+
+    jobsFinished.inc({ type: job.type, status: allFailed ? 'failed' : 'completed' });
+    logger.info(allFailed ? 'job failed' : 'job completed', { job_id: jobId, type: job.type });
+  } catch (error) {
+    // The job is still claimed by this process, so the retry can pick it back up
+    if (isConnectionError(error)) {
+      logger.warn('job interrupted by a database outage, retrying later', { job_id: jobId, type, error });
+      setTimeout(() => runJob(pool, jobId), RETRY_DELAY_MS).unref();
+      return;
+    }
+
+    jobsFinished.inc({ type, status: 'failed' });
+    logger.error('job failed', { job_id: jobId, type, error });
+    await pool.query(
+      `UPDATE jobs SET status = 'failed', error = $2, finished_at = NOW(), locked_by = NULL WHERE id = $1`,
+      [jobId, error.message]
+    ).catch(updateError => {
+      logger.error('failed to record job failure', { job_id: jobId, error: updateError });
+    });
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(jobId);
+  }
+}
+
+/**
+ * Creates a job, plans its items and starts running it in the background
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} type - One of the JOB_TYPES keys
+ * @param {Object} params - { delay, concurrency }
+ * @returns {Promise<Object>} The new job
+ */
+async function createJob(pool, type, params = {}) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  const items = await jobType.plan(pool);
+  const client = await pool.connect();
+  let jobId;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO jobs (type, params, total) VALUES ($1, $2, $3) RETURNING id',
+      [type, JSON.stringify(normalizeParams(params)), items.length]
+    );
+    jobId = result.rows[0].id;
+
+    await client.query(
+      `INSERT INTO job_items (job_id, item_key, label, position)
+       SELECT $1, item.key, item.label, item.position - 1
+       FROM unnest($2::text[], $3::text[]) WITH ORDINALITY AS item(key, label, position)`,
+      [jobId, items.map(item => item.key), items.map(item => item.label)]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Not awaited, progress is reported through getJob
+  runJob(pool, jobId);
+
+  return getJob(pool, jobId);
+}
+
+/**
+ * Restarts jobs that were pending or running when the server last stopped
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<number>} How many jobs were resumed
+ */
+async function resumeJobs(pool) {
+  const result = await pool.query(
+    `SELECT id FROM jobs WHERE status IN ('pending', 'running') ORDER BY created_at ASC`
+  );
+
+  // One after another, so resumed jobs don't hit the wiki in parallel
+  (async () => {
+    for (const { id } of result.rows) {
+      await runJob(pool, id);
+    }
+  })();
+
+  if (result.rows.length > 0) {
+    logger.info('resuming interrupted jobs', { count: result.rows.length });
+  }
+  return result.rows.length;
+}
+
+module.exports = {
+  JOB_TYPES,
+  createJob,
+  getJob,
+  runJob,
+  resumeJobs
+};
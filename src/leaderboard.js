@@ -0,0 +1,193 @@
+const { scoreSql, describeRatings } = require('./ratings');
+const { recentChangeSql } = require('./elo_history');
+
+// Minimum percentile for each tier, best tier first
+const TIERS = [
+  { tier: 'S', minPercentile: 95 },
+  { tier: 'A', minPercentile: 80 },
+  { tier: 'B', minPercentile: 50 },
+  { tier: 'C', minPercentile: 20 },
+  { tier: 'D', minPercentile: 0 }
+];
+
+// Units accepted by the movers window parameter, in hours
+const WINDOW_UNITS = { h: 1, d: 24, w: 24 * 7 };
+// Longest movers window, in hours (52 weeks)
+const MAX_WINDOW_HOURS = 52 * WINDOW_UNITS.w;
+
+// Every active character with its dense rank and percentile (100 = top of the
+// board), ranked by the active rating system's conservative score
+const RANKED_CHARACTERS = `
+  SELECT
+    characters.*,
+    ${recentChangeSql('characters.id')},
+    (DENSE_RANK() OVER (ORDER BY ${scoreSql()} DESC))::int AS rank,
+    ROUND(((1 - PERCENT_RANK() OVER (ORDER BY ${scoreSql()} DESC)) * 100)::numeric, 1)::float AS percentile
+  FROM characters
+  WHERE active`;
+
+/**
+ * Builds the ranked characters query, either for the global board or for a
+ * single category. Category boards rank by category elo and add
+ * category_elo, category_wins and category_losses columns.
+ * @param {string|null} categoryParam - Placeholder holding the category id (e.g. '$3'), or null for the global board
+ * @returns {string} SQL for use as a subquery
+ */
+function rankedCharacters(categoryParam = null) {
+  if (!categoryParam) {
+    return RANKED_CHARACTERS;
+  }
+
+  return `
+    SELECT
+      c.*,
+      ${recentChangeSql('c.id')},
+      cc.elo AS category_elo,
+      cc.wins AS category_wins,
+      cc.losses AS category_losses,
+      (DENSE_RANK() OVER (ORDER BY cc.elo DESC))::int AS rank,
+      ROUND(((1 - PERCENT_RANK() OVER (ORDER BY cc.elo DESC)) * 100)::numeric, 1)::float AS percentile
+    FROM characters c
+    JOIN character_categories cc ON cc.character_id = c.id
+    WHERE c.active AND cc.category_id = ${categoryParam}`;
+}
+
+/**
+ * Works out which tier a percentile falls into
+ * @param {number} percentile - Leaderboard percentile (0-100)
+ * @returns {string} The tier letter
+ */
+function tierForPercentile(percentile) {
+  return TIERS.find(({ minPercentile }) => percentile >= minPercentile).tier;
+}
+
+/**
+ * Parses a movers window like "24h", "7d" or "2w"
+ * @param {string} window - The window string
+ * @returns {number|null} The window length in hours, or null if it's malformed or longer than MAX_WINDOW_HOURS
+ */
+function parseWindow(window) {
+  const match = /^(\d+)([hdw])$/.exec(window);
+  if (!match || parseInt(match[1]) === 0) {
+    return null;
+  }
+
+  const hours = parseInt(match[1]) * WINDOW_UNITS[match[2]];
+  return hours <= MAX_WINDOW_HOURS ? hours : null;
+}
+
+/**
+ * Gets a page of the leaderboard with rank, percentile, tier and ratings
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} limit - Maximum number of characters to return
+ * @param {number} offset - Number of characters to skip
+ * @param {number|null} categoryId - Category to rank within, or null for the global board
+ * @returns {Promise<Object>} { characters, total }
+ */
+async function getLeaderboard(pool, limit, offset, categoryId = null) {
+  const params = categoryId ? [categoryId] : [];
+  const ranked = rankedCharacters(categoryId ? '$1' : null);
+
+  const result = await pool.query(
+    `SELECT * FROM (${ranked}) c
+     ORDER BY c.rank ASC, c.first_name ASC, c.id ASC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const count = await pool.query(`SELECT COUNT(*)::int AS total FROM (${ranked}) c`, params);
+
+  return {
+    characters: result.rows.map(row => ({
+      ...row,
+      tier: tierForPercentile(row.percentile),
+      ratings: describeRatings(row)
+    })),
+    total: count.rows[0].total
+  };
+}
+
+/**
+ * Gets a single character with their rank, percentile, tier and ratings. Inactive
+ * characters are still returned, but without a rank.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} characterId - ID of the character
+ * @returns {Promise<Object|null>} The character, or null if it doesn't exist
+ */
+async function getRankedCharacter(pool, characterId) {
+  const result = await pool.query(
+    `SELECT c.*, ${recentChangeSql('c.id')}, r.rank, r.percentile
+     FROM characters c
+     LEFT JOIN (${RANKED_CHARACTERS}) r ON r.id = c.id
+     WHERE c.id = $1`,
+    [characterId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const character = result.rows[0];
+  return {
+    ...character,
+    tier: character.active ? tierForPercentile(character.percentile) : null,
+    ratings: describeRatings(character)
+  };
+}
+
+/**
+ * Gets the current global rank of several characters
+ * @param {Object} pool - PostgreSQL connection pool, or a client to rank inside its transaction
+ * @param {Array<string>} characterIds - IDs of the characters
+ * @returns {Promise<Map>} Map of character id to rank. Inactive characters are left out.
+ */
+async function getRanks(pool, characterIds) {
+  const result = await pool.query(
+    `SELECT id, rank FROM (${RANKED_CHARACTERS}) r WHERE id = ANY($1::uuid[])`,
+    [characterIds]
+  );
+
+  return new Map(result.rows.map(row => [row.id, row.rank]));
+}
+
+/**
+ * Gets the characters whose elo rose and fell the most over a window
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} windowHours - How far back to look, in hours
+ * @param {number} limit - Maximum number of risers and of fallers to return
+ * @returns {Promise<Object>} { risers, fallers }
+ */
+async function getMovers(pool, windowHours, limit) {
+  const query = (direction) => `
+    SELECT c.id, c.first_name, c.image_path, c.elo, c.rank, h.change, h.changes
+    FROM (
+      SELECT character_id, SUM(delta)::int AS change, COUNT(*)::int AS changes
+      FROM elo_history
+      WHERE recorded_at > NOW() - make_interval(hours => $1)
+      GROUP BY character_id
+    ) h
+    JOIN (${RANKED_CHARACTERS}) c ON c.id = h.character_id
+    WHERE h.change ${direction === 'DESC' ? '>' : '<'} 0
+    ORDER BY h.change ${direction}, c.first_name ASC
+    LIMIT $2`;
+
+  const [risers, fallers] = await Promise.all([
+    pool.query(query('DESC'), [windowHours, limit]),
+    pool.query(query('ASC'), [windowHours, limit])
+  ]);
+
+  return {
+    risers: risers.rows,
+    fallers: fallers.rows
+  };
+}
+
+module.exports = {
+  rankedCharacters,
+  tierForPercentile,
+  parseWindow,
+  getLeaderboard,
+  getRankedCharacter,
+  getRanks,
+  getMovers
+};
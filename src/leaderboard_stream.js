@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How many recent events are kept for clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 500;
+// How often a comment is sent to keep idle connections (and proxies) open
+const HEARTBEAT_MS = (parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 15) * 1000;
+// How long browsers wait before reconnecting after the stream drops
+const RETRY_MS = 5000;
+
+// Event ids are "<stream id>-<sequence>". The stream id changes on every
+// restart, so ids from before a restart are recognised as unknown.
+// Events, ids and the replay buffer all live in this process, so the stream
+// only sees changes this process made. Running more than one API process
+// would need the events carried over op_elo_data_changed instead.
+const STREAM_ID = crypto.randomBytes(4).toString('hex');
+
+const bus = new EventEmitter();
+// One listener per connected client
+bus.setMaxListeners(0);
+
+const recentEvents = [];
+let sequence = 0;
+
+/**
+ * Formats an event in the text/event-stream format
+ * @param {Object} event - { id, type, data }
+ * @returns {string} The event text
+ */
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Stores an event for replay and sends it to every connected client
+ * @param {string} type - Event name
+ * @param {Object} data - Event payload
+ */
+function emit(type, data) {
+  sequence++;
+  const event = { id: `${STREAM_ID}-${sequence}`, sequence, type, data };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  bus.emit('event', event);
+}
+
+/**
+ * Publishes elo changes to the leaderboard stream, one event per character
+ * with their new elo and rank. Called straight after the change has been
+ * committed, with the rank worked out inside its transaction. Nothing is
+ * awaited here, so events go out in the order the changes were committed.
+ * @param {Array} changes - Array of { character, delta, matchId } where character is the updated row with its rank
+ */
+function publishEloChanges(changes) {
+  for (const { character, delta, matchId = null } of changes) {
+    emit('elo', {
+      character_id: character.id,
+      first_name: character.first_name,
+      elo: character.elo,
+      delta,
+      rank: character.rank || null,
+      match_id: matchId
+    });
+  }
+}
+
+/**
+ * Works out which buffered events a reconnecting client missed
+ * @param {string} lastEventId - Last-Event-ID sent by the client
+ * @returns {Array|null} The missed events, or null if they can't be replayed
+ */
+function missedEvents(lastEventId) {
+  const [streamId, lastSequence] = lastEventId.split('-');
+  const seen = parseInt(lastSequence);
+
+  if (streamId !== STREAM_ID || Number.isNaN(seen) || seen > sequence) {
+    return null;
+  }
+
+  // Events after the client's last one have already been dropped from the buffer
+  const oldest = recentEvents.length > 0 ? recentEvents[0].sequence : sequence + 1;
+  if (seen < oldest - 1) {
+    return null;
+  }
+
+  return recentEvents.filter(event => event.sequence > seen);
+}
+
+/**
+ * Express handler for GET /stream/leaderboard. Streams elo events as
+ * Server-Sent Events, replaying anything missed since Last-Event-ID. Clients
+ * whose missed events can't be replayed get a reset event and should refetch
+ * the leaderboard.
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ */
+function streamLeaderboard(request, response) {
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  response.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = request.get('Last-Event-ID') || request.query.last_event_id;
+  if (lastEventId) {
+    const missed = missedEvents(lastEventId);
+    if (missed) {
+      missed.forEach(event => response.write(formatEvent(event)));
+    } else {
+      response.write(formatEvent({
+        id: `${STREAM_ID}-${sequence}`,
+        type: 'reset',
+        data: { message: 'Missed events are no longer available, refetch the leaderboard' }
+      }));
+    }
+  }
+
+  const send = (event) => response.write(formatEvent(event));
+  bus.on('event', send);
+
+  const heartbeat = setInterval(() => response.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  request.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off('event', send);
+  });
+}
+
+module.exports = {
+  publishEloChanges,
+  streamLeaderboard
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Numeric severity for each level, entries below LOG_LEVEL are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, fatal: 50, silent: Infinity };
+
+// Incoming X-Request-Id values we're willing to reuse instead of generating one
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Holds { request_id } for the request currently being handled, so anything
+// logged while handling it (including background work it starts) is tagged
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Converts an Error into plain fields that survive JSON.stringify
+ * @param {Error} error - The error
+ * @returns {Object} { message, code, stack }
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Writes one log entry as a JSON line, to stderr for warnings and above and
+ * stdout otherwise
+ * @param {string} level - One of the LEVELS keys
+ * @param {string} message - What happened
+ * @param {Object} fields - Extra fields for the entry, Error values are serialized
+ */
+function write(level, message, fields) {
+  // Read on every call so CLIs that load .env after requiring this still pick it up
+  const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...requestContext.getStore(),
+    ...fields
+  };
+
+  for (const [key, value] of Object.entries(entry)) {
+    if (value instanceof Error) {
+      entry[key] = serializeError(value);
+    }
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Creates a logger whose entries all include the given fields
+ * @param {Object} bindings - Fields added to every entry, e.g. { module: 'jobs' }
+ * @returns {Object} Logger with debug, info, warn, error, fatal and child
+ */
+function createLogger(bindings = {}) {
+  const log = (level) => (message, fields = {}) => write(level, message, { ...bindings, ...fields });
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    fatal: log('fatal'),
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Express middleware that gives each request an id and writes an access log
+ * entry when the response finishes. The id is taken from the X-Request-Id
+ * header when it looks sane, echoed back on the response, and added to every
+ * entry logged while the request is handled.
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @param {Function} next - Next middleware
+ */
+function requestLogger(request, response, next) {
+  const incoming = request.get('X-Request-Id');
+  request.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  response.setHeader('X-Request-Id', request.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  response.on('finish', () => {
+    logger.info('request finished', {
+      request_id: request.id,
+      method: request.method,
+      path: request.originalUrl,
+      route: request.route ? request.route.path : null,
+      status: response.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+      bytes: parseInt(response.get('Content-Length')) || 0,
+      ip: request.ip,
+      user_agent: request.get('User-Agent') || null
+    });
+  });
+
+  requestContext.run({ request_id: request.id }, next);
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  requestContext,
+  requestLogger
+};
@@ -0,0 +1,311 @@
+const { updateRatings } = require('./ratings');
+const { recordEloChange } = require('./elo_history');
+const { applyCategoryMatch } = require('./categories');
+const { getRanks } = require('./leaderboard');
+const { notifyDataChanged } = require('./cache');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'matches' });
+
+/**
+ * Applies a match result to both characters in a single transaction
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} winnerId - ID of the winning character
+ * @param {string} loserId - ID of the losing character
+ * @param {Object} token - Verified matchup token ({ tokenId, expiresAt }) to redeem with this vote
+ * @returns {Promise<Object|null>} { match, winner, loser, winnerChange, loserChange, categoryChanges } or null if either character doesn't exist. winner and loser carry their new rank.
+ * @throws {Error} With code TOKEN_ALREADY_USED if the token has already been redeemed
+ */
+async function applyMatch(pool, winnerId, loserId, token) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Redeem the token inside the transaction so a failed vote doesn't burn it
+    const redeemed = await client.query(
+      `INSERT INTO used_matchup_tokens (token_id, expires_at)
+       VALUES ($1, $2)
+       ON CONFLICT (token_id) DO NOTHING
+       RETURNING token_id`,
+      [token.tokenId, token.expiresAt]
+    );
+
+    if (redeemed.rows.length === 0) {
+      const error = new Error(`Matchup token ${token.tokenId} has already been used`);
+      error.code = 'TOKEN_ALREADY_USED';
+      throw error;
+    }
+
+    // Expired tokens can't be replayed anyway, so there's no need to keep them around
+    await client.query('DELETE FROM used_matchup_tokens WHERE expires_at < NOW()');
+
+    // Lock both rows in a stable order so concurrent votes can't deadlock
+    const result = await client.query(
+      'SELECT * FROM characters WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+      [[winnerId, loserId]]
+    );
+
+    const winner = result.rows.find(row => row.id === winnerId);
+    const loser = result.rows.find(row => row.id === loserId);
+
+    if (!winner || !loser) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Every rating system is updated, whichever one is active
+    const ratings = updateRatings(winner, loser);
+    const winnerChange = ratings.winner.elo - winner.elo;
+    const loserChange = ratings.loser.elo - loser.elo;
+
+    // The rows are locked, so it's safe to write the new ratings outright
+    const update = (id, winsChange, lossesChange, columns) => {
+      const names = Object.keys(columns);
+      return client.query(
+        `UPDATE characters
+         SET
+           wins = wins + $1,
+           losses = losses + $2,
+           ${names.map((name, index) => `${name} = $${index + 4}`).join(', ')}
+         WHERE id = $3
+         RETURNING *`,
+        [winsChange, lossesChange, id, ...names.map(name => columns[name])]
+      );
+    };
+
+    const updatedWinner = await update(winnerId, 1, 0, ratings.winner);
+    const updatedLoser = await update(loserId, 0, 1, ratings.loser);
+
+    const match = await client.query(
+      `INSERT INTO matches (winner_id, loser_id, winner_elo_before, winner_elo_after, loser_elo_before, loser_elo_after)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        winnerId,
+        loserId,
+        winner.elo,
+        updatedWinner.rows[0].elo,
+        loser.elo,
+        updatedLoser.rows[0].elo
+      ]
+    );
+
+    const winnerRow = await recordEloChange(client, updatedWinner.rows[0], winnerChange, match.rows[0].id);
+    const loserRow = await recordEloChange(client, updatedLoser.rows[0], loserChange, match.rows[0].id);
+    const categoryChanges = await applyCategoryMatch(client, winnerId, loserId);
+    // Ranked inside the transaction, so they match this change and not a later vote's
+    const ranks = await getRanks(client, [winnerId, loserId]);
+    await notifyDataChanged(client, 'elo');
+
+    await client.query('COMMIT');
+
+    return {
+      match: match.rows[0],
+      winner: { ...winnerRow, rank: ranks.get(winnerId) || null },
+      loser: { ...loserRow, rank: ranks.get(loserId) || null },
+      winnerChange,
+      loserChange,
+      categoryChanges
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // A reused token is the voter's doing, the route answers it with a 409
+    if (error.code !== 'TOKEN_ALREADY_USED') {
+      logger.error('failed to apply match', { winner_id: winnerId, loser_id: loserId, error });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Applies a manual change to a character's wins, losses and elo, recording
+ * the elo change in their history
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} characterId - ID of the character
+ * @param {number} winsChange - Amount to add to wins
+ * @param {number} lossesChange - Amount to add to losses
+ * @param {number} eloChange - Amount to add to elo
+ * @returns {Promise<Object|null>} The updated character with their new rank, or null if it doesn't exist
+ */
+async function adjustCharacterElo(pool, characterId, winsChange, lossesChange, eloChange) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Use incremental updates to prevent race conditions
+    const result = await client.query(
+      `UPDATE characters
+       SET
+         wins = wins + $1,
+         losses = losses + $2,
+         elo = elo + $3
+       WHERE id = $4
+       RETURNING *`,
+      [winsChange, lossesChange, eloChange, characterId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const character = await recordEloChange(client, result.rows[0], eloChange);
+    const ranks = await getRanks(client, [characterId]);
+    await notifyDataChanged(client, 'elo');
+
+    await client.query('COMMIT');
+    return { ...character, rank: ranks.get(characterId) || null };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('failed to adjust elo', { character_id: characterId, error });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Gets a page of a character's match history, newest first, from that
+ * character's point of view
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} characterId - ID of the character
+ * @param {number} limit - Maximum number of matches to return
+ * @param {number} offset - Number of matches to skip
+ * @returns {Promise<Object>} { matches, total }
+ */
+async function getCharacterMatches(pool, characterId, limit, offset) {
+  const result = await pool.query(
+    `SELECT
+       m.id,
+       m.created_at,
+       CASE WHEN m.winner_id = $1 THEN 'win' ELSE 'loss' END AS result,
+       CASE WHEN m.winner_id = $1 THEN m.winner_elo_before ELSE m.loser_elo_before END AS elo_before,
+       CASE WHEN m.winner_id = $1 THEN m.winner_elo_after ELSE m.loser_elo_after END AS elo_after,
+       o.id AS opponent_id,
+       o.first_name AS opponent_name,
+       o.image_path AS opponent_image_path,
+       CASE WHEN m.winner_id = $1 THEN m.loser_elo_before ELSE m.winner_elo_before END AS opponent_elo_before,
+       CASE WHEN m.winner_id = $1 THEN m.loser_elo_after ELSE m.winner_elo_after END AS opponent_elo_after
+     FROM matches m
+     JOIN characters o ON o.id = CASE WHEN m.winner_id = $1 THEN m.loser_id ELSE m.winner_id END
+     WHERE m.winner_id = $1 OR m.loser_id = $1
+     ORDER BY m.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [characterId, limit, offset]
+  );
+
+  const count = await pool.query(
+    'SELECT COUNT(*)::int AS total FROM matches WHERE winner_id = $1 OR loser_id = $1',
+    [characterId]
+  );
+
+  return {
+    matches: result.rows,
+    total: count.rows[0].total
+  };
+}
+
+/**
+ * Gets the most recent matches across all characters, newest first
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} limit - Maximum number of matches to return
+ * @returns {Promise<Array>} Matches with both characters' names and images
+ */
+async function getRecentMatches(pool, limit) {
+  const result = await pool.query(
+    `SELECT
+       m.*,
+       w.first_name AS winner_name,
+       w.image_path AS winner_image_path,
+       l.first_name AS loser_name,
+       l.image_path AS loser_image_path
+     FROM matches m
+     JOIN characters w ON w.id = m.winner_id
+     JOIN characters l ON l.id = m.loser_id
+     ORDER BY m.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Gets the record between two characters, from the first character's point
+ * of view, along with their most recent meetings
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} aId - ID of the first character
+ * @param {string} bId - ID of the second character
+ * @param {number} limit - Maximum number of recent meetings to return
+ * @returns {Promise<Object>} { matches, a_wins, b_wins, last_match_at, recent }
+ */
+async function getHeadToHead(pool, aId, bId, limit) {
+  const between = '(winner_id = $1 AND loser_id = $2) OR (winner_id = $2 AND loser_id = $1)';
+
+  const [record, recent] = await Promise.all([
+    pool.query(
+      `SELECT
+         COUNT(*)::int AS matches,
+         COUNT(*) FILTER (WHERE winner_id = $1)::int AS a_wins,
+         COUNT(*) FILTER (WHERE winner_id = $2)::int AS b_wins,
+         MAX(created_at) AS last_match_at
+       FROM matches
+       WHERE ${between}`,
+      [aId, bId]
+    ),
+    pool.query(
+      `SELECT id, created_at, winner_id, winner_elo_before, winner_elo_after, loser_elo_before, loser_elo_after
+       FROM matches
+       WHERE ${between}
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [aId, bId, limit]
+    )
+  ]);
+
+  return {
+    ...record.rows[0],
+    recent: recent.rows
+  };
+}
+
+/**
+ * Gets a character's form over their last few matches
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} characterId - ID of the character
+ * @param {number} limit - How many of their latest matches to look at
+ * @returns {Promise<Object>} { results, wins, losses, elo_change } where results is 'win'/'loss', newest first
+ */
+async function getRecentForm(pool, characterId, limit) {
+  const result = await pool.query(
+    `SELECT
+       CASE WHEN winner_id = $1 THEN 'win' ELSE 'loss' END AS result,
+       CASE WHEN winner_id = $1 THEN winner_elo_after - winner_elo_before ELSE loser_elo_after - loser_elo_before END AS change
+     FROM matches
+     WHERE winner_id = $1 OR loser_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [characterId, limit]
+  );
+
+  const results = result.rows.map(row => row.result);
+  return {
+    results,
+    wins: results.filter(outcome => outcome === 'win').length,
+    losses: results.filter(outcome => outcome === 'loss').length,
+    elo_change: result.rows.reduce((total, row) => total + row.change, 0)
+  };
+}
+
+module.exports = {
+  applyMatch,
+  adjustCharacterElo,
+  getCharacterMatches,
+  getRecentMatches,
+  getHeadToHead,
+  getRecentForm
+};
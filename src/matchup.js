@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signed_tokens');
+const { createLogger } = require('./logger');
+const { recentChangeSql } = require('./elo_history');
+
+const logger = createLogger({ module: 'matchup' });
+
+// How long a matchup token stays valid, in seconds
+const TOKEN_TTL_SECONDS = parseInt(process.env.MATCHUP_TOKEN_TTL) || 300;
+// Random jitter (in elo points) so the closest opponent isn't always the same one
+const OPPONENT_JITTER = 150;
+
+let tokenSecret = process.env.MATCHUP_TOKEN_SECRET;
+if (!tokenSecret) {
+  // Without a configured secret tokens still work, they just don't survive a restart
+  logger.warn('MATCHUP_TOKEN_SECRET is not set, using a random secret for this process');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Creates a signed token for a matchup between two characters
+ * @param {string} characterAId - ID of the first character
+ * @param {string} characterBId - ID of the second character
+ * @returns {Object} { token, tokenId, expiresAt }
+ */
+function createMatchupToken(characterAId, characterBId) {
+  const tokenId = crypto.randomUUID();
+  const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+
+  const token = signToken({
+    jti: tokenId,
+    a: characterAId,
+    b: characterBId,
+    exp: expiresAt
+  }, tokenSecret);
+
+  return {
+    token,
+    tokenId,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+}
+
+/**
+ * Verifies a matchup token's signature and expiry
+ * @param {string} token - Token returned by createMatchupToken
+ * @returns {Object|null} { tokenId, characterIds, expiresAt } or null if the token is invalid or expired
+ */
+function verifyMatchupToken(token) {
+  const claims = verifyToken(token, tokenSecret);
+
+  if (!claims) {
+    return null;
+  }
+
+  return {
+    tokenId: claims.jti,
+    characterIds: [claims.a, claims.b],
+    expiresAt: new Date(claims.exp * 1000)
+  };
+}
+
+/**
+ * Picks two characters to face each other. Characters with fewer games are
+ * favoured as the first pick, and the opponent is chosen close in elo. With a
+ * category, both come from that category and its elo and games are used.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number|null} categoryId - Category to pick from, or null for everyone
+ * @returns {Promise<Array|null>} The two character rows, or null if there aren't enough characters
+ */
+async function pickMatchup(pool, categoryId = null) {
+  // Both queries pick from this pool of candidates, exposing the elo/wins/losses to match on
+  const candidates = categoryId
+    ? `SELECT c.*, ${recentChangeSql('c.id')}, cc.elo AS pick_elo, cc.wins + cc.losses AS pick_games
+       FROM characters c
+       JOIN character_categories cc ON cc.character_id = c.id AND cc.category_id = $1
+       WHERE c.active`
+    : `SELECT c.*, ${recentChangeSql('c.id')}, c.elo AS pick_elo, c.wins + c.losses AS pick_games
+       FROM characters c
+       WHERE c.active AND $1::int IS NULL`;
+
+  // random() scaled by games played means rarely-played characters tend to sort first
+  const first = await pool.query(
+    `SELECT * FROM (${candidates}) p ORDER BY random() * (1 + p.pick_games) LIMIT 1`,
+    [categoryId]
+  );
+
+  if (first.rows.length === 0) {
+    return null;
+  }
+
+  const character = first.rows[0];
+
+  const second = await pool.query(
+    `SELECT * FROM (${candidates}) p
+     WHERE p.id <> $2
+     ORDER BY ABS(p.pick_elo - $3) + random() * $4
+     LIMIT 1`,
+    [categoryId, character.id, character.pick_elo, OPPONENT_JITTER]
+  );
+
+  if (second.rows.length === 0) {
+    return null;
+  }
+
+  const strip = ({ pick_elo, pick_games, ...row }) => row;
+
+  // Shuffle sides so the rarely-played character isn't always on the left
+  return Math.random() < 0.5
+    ? [strip(character), strip(second.rows[0])]
+    : [strip(second.rows[0]), strip(character)];
+}
+
+module.exports = {
+  createMatchupToken,
+  verifyMatchupToken,
+  pickMatchup
+};
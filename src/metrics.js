@@ -0,0 +1,236 @@
+// Latency buckets in seconds, from a fast cache hit up to a slow wiki fetch
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Every metric created below, in the order they're rendered
+const registry = [];
+
+/**
+ * Escapes a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} The escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels, e.g. {method="GET",status="200"}
+ * @param {Object} labels - Label names to values
+ * @returns {string} The label set, or an empty string if there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Keeps one value per distinct combination of label values
+ * @param {Array<string>} labelNames - Allowed label names
+ * @param {Function} initial - Creates the value for a new combination
+ * @returns {Object} { get(labels), entries() }
+ */
+function createSeries(labelNames, initial) {
+  const series = new Map();
+
+  return {
+    get(labels = {}) {
+      const picked = {};
+      for (const name of labelNames) {
+        picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+      }
+
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, value: initial() });
+      }
+      return series.get(key);
+    },
+    entries: () => series.values()
+  };
+}
+
+/**
+ * Creates a counter, a value that only goes up
+ * @param {Object} options - Counter options
+ * @param {string} options.name - Metric name, ending in _total
+ * @param {string} options.help - Description shown by Prometheus
+ * @param {Array<string>} options.labelNames - Label names
+ * @returns {Object} Counter with inc(labels, amount)
+ */
+function counter({ name, help, labelNames = [] }) {
+  const series = createSeries(labelNames, () => 0);
+
+  registry.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...Array.from(series.entries(), ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      series.get(labels).value += amount;
+    }
+  };
+}
+
+/**
+ * Creates a histogram that counts observations into cumulative buckets
+ * @param {Object} options - Histogram options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description shown by Prometheus
+ * @param {Array<string>} options.labelNames - Label names
+ * @param {Array<number>} options.buckets - Upper bounds, ascending
+ * @returns {Object} Histogram with observe(labels, value)
+ */
+function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+  registry.push({
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+      for (const { labels, value } of series.entries()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+      }
+
+      return lines;
+    }
+  });
+
+  return {
+    observe(labels, observed) {
+      const value = series.get(labels).value;
+      buckets.forEach((bound, index) => {
+        if (observed <= bound) {
+          value.counts[index]++;
+        }
+      });
+      value.sum += observed;
+      value.count++;
+    }
+  };
+}
+
+/**
+ * Creates a gauge whose value is read when metrics are scraped
+ * @param {Object} options - Gauge options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description shown by Prometheus
+ * @param {Function} options.collect - Returns the current value
+ */
+function gauge({ name, help, collect }) {
+  registry.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      `${name} ${collect()}`
+    ]
+  });
+}
+
+/**
+ * Renders every metric in the Prometheus text exposition format
+ * @returns {string} The metrics text
+ */
+function renderMetrics() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+const httpRequestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to respond to HTTP requests.',
+  labelNames: ['method', 'route', 'status']
+});
+
+const votesApplied = counter({
+  name: 'votes_applied_total',
+  help: 'Votes that changed elo, by where they came from.',
+  labelNames: ['source']
+});
+
+const imageProxyRequests = counter({
+  name: 'image_proxy_requests_total',
+  help: 'Image proxy requests by cache result (hit, miss, or fallback when the wiki could not be reached).',
+  labelNames: ['result']
+});
+
+const responseCacheRequests = counter({
+  name: 'response_cache_requests_total',
+  help: 'Cacheable GET requests by whether they were served from the response cache.',
+  labelNames: ['result']
+});
+
+const jobsFinished = counter({
+  name: 'jobs_finished_total',
+  help: 'Background jobs that finished, by type and final status.',
+  labelNames: ['type', 'status']
+});
+
+const jobItemsFinished = counter({
+  name: 'job_items_finished_total',
+  help: 'Background job items that finished, by job type and status (done, skipped or failed).',
+  labelNames: ['type', 'status']
+});
+
+/**
+ * Exposes a pg pool's connection counts as gauges
+ * @param {Object} pool - PostgreSQL connection pool
+ */
+function trackPool(pool) {
+  gauge({ name: 'pg_pool_connections', help: 'Connections currently open in the pg pool.', collect: () => pool.totalCount });
+  gauge({ name: 'pg_pool_idle_connections', help: 'Open pg pool connections not checked out.', collect: () => pool.idleCount });
+  gauge({ name: 'pg_pool_waiting_clients', help: 'Queries waiting for a pg pool connection.', collect: () => pool.waitingCount });
+}
+
+/**
+ * Express middleware that records how long each request took. Requests that
+ * didn't match a route share the "unmatched" route label so scanners can't
+ * create a series per URL.
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ * @param {Function} next - Next middleware
+ */
+function trackRequests(request, response, next) {
+  const startedAt = process.hrtime.bigint();
+
+  response.on('finish', () => {
+    httpRequestDuration.observe({
+      method: request.method,
+      route: request.route ? request.route.path : 'unmatched',
+      status: response.statusCode
+    }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+
+  next();
+}
+
+/**
+ * Express handler for GET /metrics
+ * @param {Object} request - Express request
+ * @param {Object} response - Express response
+ */
+function serveMetrics(request, response) {
+  response.type('text/plain; version=0.0.4').send(renderMetrics());
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  votesApplied,
+  imageProxyRequests,
+  responseCacheRequests,
+  jobsFinished,
+  jobItemsFinished,
+  trackPool,
+  trackRequests,
+  serveMetrics
+};
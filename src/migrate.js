@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'migrate' });
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary key for the advisory lock that stops two processes migrating at once
+const MIGRATION_LOCK_ID = 4207001;
+
+/**
+ * Lists the migration files in order
+ * @returns {Array} Array of { name, up, down }
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }));
+}
+
+/**
+ * Creates the migration tracking table and takes the migration lock
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Set>} Names of the migrations already applied
+ */
+async function prepare(client) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(128) PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const result = await client.query('SELECT name FROM schema_migrations');
+  return new Set(result.rows.map(row => row.name));
+}
+
+/**
+ * Releases the migration lock and the client. If the connection dropped the
+ * unlock fails, but the lock went with the session, so the client is just
+ * released as broken instead of leaking it.
+ * @param {Object} client - PostgreSQL client
+ */
+async function finish(client) {
+  try {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    client.release();
+  } catch (error) {
+    logger.warn('failed to release the migration lock', { error });
+    client.release(error);
+  }
+}
+
+/**
+ * Runs a single migration step and records it, in one transaction
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} migration - The migration to run
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runStep(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE name = $1', [migration.name]);
+    }
+
+    await client.query('COMMIT');
+    logger.info(direction === 'up' ? 'migration applied' : 'migration rolled back', { migration: migration.name });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('migration failed', { migration: migration.name, direction, error });
+    throw error;
+  }
+}
+
+/**
+ * Applies every pending migration in order
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>} Names of the migrations that were applied
+ */
+async function runMigrations(pool) {
+  const client = await pool.connect();
+
+  try {
+    const applied = await prepare(client);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+    }
+
+    logger.info(pending.length > 0 ? 'migrations applied' : 'database schema is up to date', { applied: pending.length });
+    return pending.map(migration => migration.name);
+  } finally {
+    await finish(client);
+  }
+}
+
+/**
+ * Rolls back the most recently applied migrations
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {number} steps - How many migrations to roll back (default: 1)
+ * @returns {Promise<Array>} Names of the migrations that were rolled back
+ */
+async function rollbackMigrations(pool, steps = 1) {
+  const client = await pool.connect();
+
+  try {
+    const applied = await prepare(client);
+    const toRollBack = loadMigrations()
+      .filter(migration => applied.has(migration.name))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRollBack) {
+      await runStep(client, migration, 'down');
+    }
+
+    return toRollBack.map(migration => migration.name);
+  } finally {
+    await finish(client);
+  }
+}
+
+/**
+ * Lists every migration and whether it has been applied
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>} Array of { name, applied }
+ */
+async function getMigrationStatus(pool) {
+  const client = await pool.connect();
+
+  try {
+    const applied = await prepare(client);
+    return loadMigrations().map(migration => ({
+      name: migration.name,
+      applied: applied.has(migration.name)
+    }));
+  } finally {
+    await finish(client);
+  }
+}
+
+// Usage: node src/migrate.js [up | down [steps] | status]
+if (require.main === module) {
+  require('dotenv').config();
+  const { createPool } = require('./db');
+
+  const [command = 'up', steps] = process.argv.slice(2);
+  const pool = createPool();
+
+  const run = async () => {
+    switch (command) {
+      case 'up':
+        await runMigrations(pool);
+        break;
+      case 'down':
+        await rollbackMigrations(pool, parseInt(steps) || 1);
+        break;
+      case 'status':
+        for (const { name, applied } of await getMigrationStatus(pool)) {
+          console.log(`${applied ? '[x]' : '[ ]'} ${name}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown command "${command}", expected up, down or status`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(error => {
+      console.error('Migration failed:', error.message);
+      pool.end(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus
+};
@@ -0,0 +1,24 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before migrations
+// existed are adopted as-is.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS characters (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        first_name VARCHAR(30) NOT NULL,
+        last_name VARCHAR(30),
+        title VARCHAR(30),
+        image_path VARCHAR(128),
+        elo INTEGER DEFAULT 1000,
+        rating INTEGER DEFAULT 1000,
+        recent_change INTEGER DEFAULT 0,
+        wins INTEGER DEFAULT 0,
+        losses INTEGER DEFAULT 0
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS characters');
+  }
+};
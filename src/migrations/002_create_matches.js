@@ -0,0 +1,23 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS matches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        winner_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        loser_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        winner_elo_before INTEGER NOT NULL,
+        winner_elo_after INTEGER NOT NULL,
+        loser_elo_before INTEGER NOT NULL,
+        loser_elo_after INTEGER NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS matches_winner_id_idx ON matches (winner_id, created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS matches_loser_id_idx ON matches (loser_id, created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS matches_created_at_idx ON matches (created_at DESC)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS matches');
+  }
+};
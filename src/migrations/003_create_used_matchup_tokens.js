@@ -0,0 +1,15 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS used_matchup_tokens (
+        token_id UUID PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS used_matchup_tokens');
+  }
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS elo_history (
+        id BIGSERIAL PRIMARY KEY,
+        character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+        elo_before INTEGER NOT NULL,
+        elo_after INTEGER NOT NULL,
+        delta INTEGER NOT NULL,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS elo_history_character_id_idx ON elo_history (character_id, recorded_at)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS elo_history');
+  }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE characters ADD COLUMN IF NOT EXISTS slug VARCHAR(128)');
+    await client.query('ALTER TABLE characters ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS characters_slug_idx ON characters (slug)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP INDEX IF EXISTS characters_slug_idx');
+    await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS active');
+    await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS slug');
+  }
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  up: async (client) => {
+    // Only used when RATE_LIMIT_STORE=postgres
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key VARCHAR(255) PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS vote_flags (
+        id BIGSERIAL PRIMARY KEY,
+        reason VARCHAR(64) NOT NULL,
+        ip VARCHAR(64),
+        session_id VARCHAR(128),
+        character_id UUID REFERENCES characters(id) ON DELETE CASCADE,
+        route VARCHAR(128),
+        vote_count INTEGER NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS vote_flags_created_at_idx ON vote_flags (created_at DESC)');
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS vote_flags');
+    await client.query('DROP TABLE IF EXISTS rate_limits');
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE characters
+        ADD COLUMN IF NOT EXISTS epithet TEXT,
+        ADD COLUMN IF NOT EXISTS affiliation TEXT,
+        ADD COLUMN IF NOT EXISTS bounty BIGINT,
+        ADD COLUMN IF NOT EXISTS devil_fruit TEXT,
+        ADD COLUMN IF NOT EXISTS debut_chapter INTEGER,
+        ADD COLUMN IF NOT EXISTS debut_episode INTEGER,
+        ADD COLUMN IF NOT EXISTS details_scraped_at TIMESTAMPTZ
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE characters
+        DROP COLUMN IF EXISTS epithet,
+        DROP COLUMN IF EXISTS affiliation,
+        DROP COLUMN IF EXISTS bounty,
+        DROP COLUMN IF EXISTS devil_fruit,
+        DROP COLUMN IF EXISTS debut_chapter,
+        DROP COLUMN IF EXISTS debut_episode,
+        DROP COLUMN IF EXISTS details_scraped_at
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+// Starting set of categories. A character belongs to a category when their
+// scraped affiliation mentions any of its patterns.
+const CATEGORIES = [
+  ['straw-hats', 'Straw Hat Pirates', ['Straw Hat Pirates']],
+  ['marines', 'Marines', ['Marines']],
+  ['yonko-crews', 'Yonko Crews', ['Red Hair Pirates', 'Big Mom Pirates', 'Beasts Pirates', 'Blackbeard Pirates', 'Whitebeard Pirates', 'Cross Guild']],
+  ['revolutionary-army', 'Revolutionary Army', ['Revolutionary Army']],
+  ['warlords', 'Seven Warlords of the Sea', ['Seven Warlords of the Sea']],
+  ['world-government', 'World Government', ['World Government', 'Cipher Pol']]
+];
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(64) NOT NULL UNIQUE,
+        name VARCHAR(128) NOT NULL,
+        affiliation_patterns TEXT[] NOT NULL DEFAULT '{}'
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS character_categories (
+        character_id UUID NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        elo INTEGER NOT NULL DEFAULT 1000,
+        wins INTEGER NOT NULL DEFAULT 0,
+        losses INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (character_id, category_id)
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS character_categories_category_id_idx ON character_categories (category_id, elo DESC)');
+
+    for (const [slug, name, patterns] of CATEGORIES) {
+      await client.query(
+        'INSERT INTO categories (slug, name, affiliation_patterns) VALUES ($1, $2, $3) ON CONFLICT (slug) DO NOTHING',
+        [slug, name, patterns]
+      );
+    }
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS character_categories');
+    await client.query('DROP TABLE IF EXISTS categories');
+  }
+};
@@ -0,0 +1,39 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        type VARCHAR(64) NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        params JSONB NOT NULL DEFAULT '{}',
+        total INTEGER NOT NULL DEFAULT 0,
+        result JSONB,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status)');
+    // One row per unit of work, so an interrupted job can pick up the items it hadn't finished
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_items (
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        item_key VARCHAR(128) NOT NULL,
+        label VARCHAR(255),
+        position INTEGER NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        result JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (job_id, item_key)
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS job_items');
+    await client.query('DROP TABLE IF EXISTS jobs');
+  }
+};
@@ -0,0 +1,196 @@
+// A copy of the maths in glicko2.js and trueskill.js as they were when this
+// migration was written, so later changes to the live modules can't change
+// what the backfill computes or the column defaults it creates
+
+const glicko2 = (() => {
+  const DEFAULT_RATING = 1500;
+  const DEFAULT_DEVIATION = 350;
+  const DEFAULT_VOLATILITY = 0.06;
+  const TAU = 0.5;
+  const SCALE = 173.7178;
+  const EPSILON = 0.000001;
+
+  const g = (phi) => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+  const expected = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+  // Step 5 of Glickman's paper, the Illinois algorithm
+  const newVolatility = (phi, sigma, delta, v) => {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      return ex * (delta * delta - phi * phi - v - ex) / (2 * Math.pow(phi * phi + v + ex, 2)) -
+        (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * TAU) < 0) {
+        k++;
+      }
+      B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  };
+
+  // A single game against opponent, score 1 for a win and 0 for a loss
+  const rate = (player, opponent, score) => {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.deviation / SCALE;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.deviation / SCALE;
+    const weight = g(opponentPhi);
+    const e = expected(mu, opponentMu, opponentPhi);
+
+    const v = 1 / (weight * weight * e * (1 - e));
+    const improvement = weight * (score - e);
+
+    const sigma = newVolatility(phi, player.volatility, v * improvement, v);
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+
+    return {
+      rating: (mu + newPhi * newPhi * improvement) * SCALE + DEFAULT_RATING,
+      deviation: newPhi * SCALE,
+      volatility: sigma
+    };
+  };
+
+  return {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    calculateMatch: (winner, loser) => ({ winner: rate(winner, loser, 1), loser: rate(loser, winner, 0) })
+  };
+})();
+
+const trueskill = (() => {
+  const DEFAULT_MU = 25;
+  const DEFAULT_SIGMA = DEFAULT_MU / 3;
+  const BETA = DEFAULT_SIGMA / 2;
+  const TAU = DEFAULT_SIGMA / 100;
+
+  // Numerical Recipes erfcc
+  const erfc = (x) => {
+    const z = Math.abs(x);
+    const t = 1 / (1 + z / 2);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+      t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+      t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
+  };
+  const pdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  const cdf = (x) => erfc(-x / Math.SQRT2) / 2;
+
+  const calculateMatch = (winner, loser) => {
+    const winnerVariance = winner.sigma * winner.sigma + TAU * TAU;
+    const loserVariance = loser.sigma * loser.sigma + TAU * TAU;
+    const c = Math.sqrt(2 * BETA * BETA + winnerVariance + loserVariance);
+    const t = (winner.mu - loser.mu) / c;
+
+    const probability = cdf(t);
+    const v = probability > 1e-300 ? pdf(t) / probability : -t;
+    const w = v * (v + t);
+
+    return {
+      winner: {
+        mu: winner.mu + winnerVariance / c * v,
+        sigma: Math.sqrt(winnerVariance * (1 - winnerVariance / (c * c) * w))
+      },
+      loser: {
+        mu: loser.mu - loserVariance / c * v,
+        sigma: Math.sqrt(loserVariance * (1 - loserVariance / (c * c) * w))
+      }
+    };
+  };
+
+  return { DEFAULT_MU, DEFAULT_SIGMA, calculateMatch };
+})();
+
+// Glicko-2 and TrueSkill ratings, kept up to date alongside elo. Existing
+// characters get their ratings by replaying the match history in order.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE characters
+        ADD COLUMN IF NOT EXISTS glicko_rating DOUBLE PRECISION NOT NULL DEFAULT ${glicko2.DEFAULT_RATING},
+        ADD COLUMN IF NOT EXISTS glicko_rd DOUBLE PRECISION NOT NULL DEFAULT ${glicko2.DEFAULT_DEVIATION},
+        ADD COLUMN IF NOT EXISTS glicko_volatility DOUBLE PRECISION NOT NULL DEFAULT ${glicko2.DEFAULT_VOLATILITY},
+        ADD COLUMN IF NOT EXISTS trueskill_mu DOUBLE PRECISION NOT NULL DEFAULT ${trueskill.DEFAULT_MU},
+        ADD COLUMN IF NOT EXISTS trueskill_sigma DOUBLE PRECISION NOT NULL DEFAULT ${trueskill.DEFAULT_SIGMA}
+    `);
+
+    const matches = await client.query('SELECT winner_id, loser_id FROM matches ORDER BY created_at ASC, id ASC');
+    const ratings = new Map();
+    const ratingOf = (id) => {
+      if (!ratings.has(id)) {
+        ratings.set(id, {
+          glicko: {
+            rating: glicko2.DEFAULT_RATING,
+            deviation: glicko2.DEFAULT_DEVIATION,
+            volatility: glicko2.DEFAULT_VOLATILITY
+          },
+          trueskill: { mu: trueskill.DEFAULT_MU, sigma: trueskill.DEFAULT_SIGMA }
+        });
+      }
+      return ratings.get(id);
+    };
+
+    for (const { winner_id, loser_id } of matches.rows) {
+      const winner = ratingOf(winner_id);
+      const loser = ratingOf(loser_id);
+
+      const glicko = glicko2.calculateMatch(winner.glicko, loser.glicko);
+      const skill = trueskill.calculateMatch(winner.trueskill, loser.trueskill);
+
+      ratings.set(winner_id, { glicko: glicko.winner, trueskill: skill.winner });
+      ratings.set(loser_id, { glicko: glicko.loser, trueskill: skill.loser });
+    }
+
+    for (const [id, rating] of ratings) {
+      await client.query(
+        `UPDATE characters
+         SET glicko_rating = $2, glicko_rd = $3, glicko_volatility = $4, trueskill_mu = $5, trueskill_sigma = $6
+         WHERE id = $1`,
+        [
+          id,
+          rating.glicko.rating,
+          rating.glicko.deviation,
+          rating.glicko.volatility,
+          rating.trueskill.mu,
+          rating.trueskill.sigma
+        ]
+      );
+    }
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE characters
+        DROP COLUMN IF EXISTS glicko_rating,
+        DROP COLUMN IF EXISTS glicko_rd,
+        DROP COLUMN IF EXISTS glicko_volatility,
+        DROP COLUMN IF EXISTS trueskill_mu,
+        DROP COLUMN IF EXISTS trueskill_sigma
+    `);
+  }
+};
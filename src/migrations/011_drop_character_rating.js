@@ -0,0 +1,11 @@
+// The rating column has been in the schema since the start but nothing ever
+// wrote to it. Elo and the other rating systems have their own columns.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS rating');
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE characters ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1000');
+  }
+};
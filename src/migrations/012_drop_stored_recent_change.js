@@ -0,0 +1,25 @@
+// Deliberately a snapshot of elo_history.js's window rather than an import,
+// like migration 010's copy of the rating maths: rolling back should rebuild
+// the column the way it was computed when this migration was written
+const RECENT_CHANGE_WINDOW = '24 hours';
+
+// recent_change is now summed from elo_history when it's read. The stored
+// copy was only refreshed when the character's own elo changed, so it never
+// decayed once they stopped playing.
+module.exports = {
+  up: async (client) => {
+    await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS recent_change');
+  },
+
+  down: async (client) => {
+    await client.query('ALTER TABLE characters ADD COLUMN IF NOT EXISTS recent_change INTEGER DEFAULT 0');
+    await client.query(`
+      UPDATE characters c
+      SET recent_change = (
+        SELECT COALESCE(SUM(delta), 0)
+        FROM elo_history
+        WHERE character_id = c.id AND recorded_at > NOW() - INTERVAL '${RECENT_CHANGE_WINDOW}'
+      )
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+// Lets a server process claim a job, so two instances never run the same one.
+// A claim whose heartbeat has stopped belongs to a process that died and can
+// be taken over.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE jobs
+        ADD COLUMN IF NOT EXISTS locked_by VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE jobs
+        DROP COLUMN IF EXISTS locked_by,
+        DROP COLUMN IF EXISTS heartbeat_at
+    `);
+  }
+};
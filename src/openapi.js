@@ -0,0 +1,846 @@
+const { version } = require('../package.json');
+const { SORT_KEYS, GLOBAL_ONLY_SORT_KEYS } = require('./characters');
+const { HISTORY_BUCKETS } = require('./elo_history');
+const { JOB_TYPES } = require('./jobs');
+const { ALLOWED_WIDTHS } = require('./image_cache');
+const { RATING_SYSTEMS } = require('./ratings');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+
+// Responses shared by every route that can fail validation or hit the database
+const COMMON_ERRORS = {
+  400: response('BadRequest'),
+  500: response('ServerError'),
+  503: response('ServiceUnavailable')
+};
+const ADMIN_ERRORS = {
+  ...COMMON_ERRORS,
+  401: response('Unauthorized'),
+  403: response('Forbidden')
+};
+// Responses served through the response cache (see cache.js) can be revalidated
+const NOT_MODIFIED = {
+  304: response('NotModified')
+};
+const VOTE_ERRORS = {
+  ...COMMON_ERRORS,
+  429: response('TooManyRequests')
+};
+
+/**
+ * OpenAPI 3 description of every route. Also drives request validation
+ * (see validation.js), so parameter and body schemas here are enforced.
+ */
+const openapi = {
+  openapi: '3.0.3',
+  info: {
+    title: 'One Piece Elo API',
+    version,
+    description: 'Ratings, matchups and leaderboards for One Piece characters. Character, category and leaderboard reads are cached and carry ETag and Last-Modified, send them back in If-None-Match or If-Modified-Since to get a 304 when nothing changed.'
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'The ADMIN_API_KEY' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'ADMIN_API_KEY or an admin token from npm run admin-token' }
+    },
+
+    parameters: {
+      CharacterId: {
+        name: 'id', in: 'path', required: true,
+        schema: { type: 'string', format: 'uuid' }
+      },
+      Limit: {
+        name: 'limit', in: 'query',
+        description: 'Page size, clamped to 100',
+        schema: { type: 'integer', minimum: 1, default: 20 }
+      },
+      Offset: {
+        name: 'offset', in: 'query',
+        schema: { type: 'integer', minimum: 0, default: 0 }
+      },
+      Category: {
+        name: 'category', in: 'query',
+        description: 'Category slug, e.g. straw-hats',
+        schema: { type: 'string' }
+      }
+    },
+
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error', 'message'],
+        properties: {
+          error: { type: 'string' },
+          message: { type: 'string' }
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['error', 'message', 'details'],
+        properties: {
+          error: { type: 'string', example: 'Invalid input' },
+          message: { type: 'string', description: 'The first problem found' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+                name: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Character: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          slug: { type: 'string', nullable: true, description: 'Wiki page name' },
+          first_name: { type: 'string' },
+          last_name: { type: 'string', nullable: true },
+          title: { type: 'string', nullable: true },
+          image_path: { type: 'string', nullable: true },
+          elo: { type: 'integer' },
+          wins: { type: 'integer' },
+          losses: { type: 'integer' },
+          recent_change: { type: 'integer', description: 'Elo change over the last 24 hours' },
+          active: { type: 'boolean', description: 'False once the character is no longer on the wiki list' },
+          epithet: { type: 'string', nullable: true },
+          affiliation: { type: 'string', nullable: true },
+          bounty: { type: 'integer', nullable: true },
+          devil_fruit: { type: 'string', nullable: true },
+          debut_chapter: { type: 'integer', nullable: true },
+          debut_episode: { type: 'integer', nullable: true },
+          details_scraped_at: { type: 'string', format: 'date-time', nullable: true },
+          glicko_rating: { type: 'number' },
+          glicko_rd: { type: 'number' },
+          glicko_volatility: { type: 'number' },
+          trueskill_mu: { type: 'number' },
+          trueskill_sigma: { type: 'number' }
+        }
+      },
+      Ratings: {
+        type: 'object',
+        properties: {
+          system: { type: 'string', enum: Object.keys(RATING_SYSTEMS), description: 'Rating system the leaderboard ranks by' },
+          score: { type: 'number', description: 'Conservative score in the active system' },
+          elo: {
+            type: 'object',
+            properties: { rating: { type: 'integer' }, score: { type: 'number' } }
+          },
+          glicko2: {
+            type: 'object',
+            properties: {
+              rating: { type: 'number' },
+              deviation: { type: 'number' },
+              volatility: { type: 'number' },
+              score: { type: 'number', description: 'rating - 2 * deviation' }
+            }
+          },
+          trueskill: {
+            type: 'object',
+            properties: {
+              mu: { type: 'number' },
+              sigma: { type: 'number' },
+              score: { type: 'number', description: 'mu - 3 * sigma' }
+            }
+          }
+        }
+      },
+      RankedCharacter: {
+        allOf: [
+          ref('Character'),
+          {
+            type: 'object',
+            properties: {
+              rank: { type: 'integer', nullable: true, description: 'Null for inactive characters' },
+              percentile: { type: 'number', nullable: true },
+              tier: { type: 'string', enum: ['S', 'A', 'B', 'C', 'D'], nullable: true },
+              ratings: ref('Ratings'),
+              category_elo: { type: 'integer', description: 'Only when listing a category' },
+              category_wins: { type: 'integer', description: 'Only when listing a category' },
+              category_losses: { type: 'integer', description: 'Only when listing a category' }
+            }
+          }
+        ]
+      },
+      Category: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          slug: { type: 'string' },
+          name: { type: 'string' },
+          characters: { type: 'integer', description: 'Active members, only in GET /categories' }
+        }
+      },
+      Match: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          winner_id: { type: 'string', format: 'uuid' },
+          loser_id: { type: 'string', format: 'uuid' },
+          winner_elo_before: { type: 'integer' },
+          winner_elo_after: { type: 'integer' },
+          loser_elo_before: { type: 'integer' },
+          loser_elo_after: { type: 'integer' },
+          created_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      CharacterMatch: {
+        type: 'object',
+        description: 'A match from one character\'s point of view',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          created_at: { type: 'string', format: 'date-time' },
+          result: { type: 'string', enum: ['win', 'loss'] },
+          elo_before: { type: 'integer' },
+          elo_after: { type: 'integer' },
+          opponent_id: { type: 'string', format: 'uuid' },
+          opponent_name: { type: 'string' },
+          opponent_image_path: { type: 'string', nullable: true },
+          opponent_elo_before: { type: 'integer' },
+          opponent_elo_after: { type: 'integer' }
+        }
+      },
+      EloHistoryPoint: {
+        type: 'object',
+        properties: {
+          time: { type: 'string', format: 'date-time' },
+          open: { type: 'integer' },
+          close: { type: 'integer' },
+          high: { type: 'integer' },
+          low: { type: 'integer' },
+          change: { type: 'integer' },
+          changes: { type: 'integer' }
+        }
+      },
+      Form: {
+        type: 'object',
+        description: 'Results over a character\'s latest matches',
+        properties: {
+          results: { type: 'array', items: { type: 'string', enum: ['win', 'loss'] }, description: 'Newest first' },
+          wins: { type: 'integer' },
+          losses: { type: 'integer' },
+          elo_change: { type: 'integer' }
+        }
+      },
+      Mover: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          first_name: { type: 'string' },
+          image_path: { type: 'string', nullable: true },
+          elo: { type: 'integer' },
+          rank: { type: 'integer' },
+          change: { type: 'integer' },
+          changes: { type: 'integer' }
+        }
+      },
+      Health: {
+        type: 'object',
+        properties: {
+          database: {
+            type: 'object',
+            properties: {
+              reachable: { type: 'boolean' },
+              checked_at: { type: 'string', format: 'date-time', nullable: true },
+              latency_ms: { type: 'integer', nullable: true },
+              error: { type: 'string', nullable: true },
+              down_since: { type: 'string', format: 'date-time', nullable: true }
+            }
+          },
+          pool: {
+            type: 'object',
+            properties: {
+              max: { type: 'integer' },
+              total: { type: 'integer' },
+              idle: { type: 'integer' },
+              in_use: { type: 'integer' },
+              waiting: { type: 'integer' },
+              utilization: { type: 'number', description: 'in_use / max' },
+              saturated: { type: 'boolean', description: 'Every connection is busy and queries are queueing' }
+            }
+          }
+        }
+      },
+      Readiness: {
+        allOf: [
+          {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['ready', 'not ready'] },
+              migrations: { type: 'string', enum: ['complete', 'pending'] }
+            }
+          },
+          ref('Health')
+        ]
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          type: { type: 'string', enum: Object.keys(JOB_TYPES) },
+          status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed'] },
+          params: {
+            type: 'object',
+            properties: { delay: { type: 'integer' }, concurrency: { type: 'integer' } }
+          },
+          total: { type: 'integer' },
+          processed: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          skipped: { type: 'integer' },
+          failed: { type: 'integer' },
+          result: { type: 'object', nullable: true },
+          error: { type: 'string', nullable: true },
+          locked_by: { type: 'string', nullable: true, description: 'Server process running the job' },
+          heartbeat_at: { type: 'string', format: 'date-time', nullable: true, description: 'When that process last renewed its claim' },
+          created_at: { type: 'string', format: 'date-time' },
+          started_at: { type: 'string', format: 'date-time', nullable: true },
+          finished_at: { type: 'string', format: 'date-time', nullable: true },
+          failures: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                item_key: { type: 'string' },
+                label: { type: 'string', nullable: true },
+                status: { type: 'string', enum: ['failed', 'skipped'] },
+                error: { type: 'string', nullable: true },
+                attempts: { type: 'integer' },
+                updated_at: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    responses: {
+      BadRequest: json(ref('ValidationError'), 'The request is invalid'),
+      NotFound: json(ref('Error'), 'Not found'),
+      Unauthorized: json(ref('Error'), 'No admin credentials were sent'),
+      Forbidden: json(ref('Error'), 'The credentials are not valid'),
+      TooManyRequests: json(ref('Error'), 'Rate limited, see the Retry-After header'),
+      ServerError: json(ref('Error'), 'Database or server error'),
+      ServiceUnavailable: json(ref('Error'), 'The database is down, see the Retry-After header'),
+      NotModified: { description: 'Unchanged since the ETag or Last-Modified the client sent' }
+    }
+  },
+
+  paths: {
+    '/characters': {
+      get: {
+        summary: 'List characters',
+        description: 'While the database is down the last good copy of the same request is served with X-Degraded: true, or a 503 if there isn\'t one.',
+        parameters: [
+          param('Limit'),
+          { name: 'cursor', in: 'query', description: 'next_cursor from the previous page', schema: { type: 'string' } },
+          { name: 'sort', in: 'query', description: `${GLOBAL_ONLY_SORT_KEYS.join(', ')} can't be combined with category`, schema: { type: 'string', enum: SORT_KEYS, default: 'elo' } },
+          { name: 'order', in: 'query', description: 'Defaults to asc for name and desc otherwise', schema: { type: 'string', enum: ['asc', 'desc'] } },
+          { name: 'min_games', in: 'query', schema: { type: 'integer', minimum: 0 } },
+          { name: 'q', in: 'query', description: 'Case-insensitive name search', schema: { type: 'string' } },
+          param('Category')
+        ],
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({
+            type: 'object',
+            properties: {
+              category: { ...ref('Category'), nullable: true },
+              characters: { type: 'array', items: ref('RankedCharacter') },
+              total: { type: 'integer' },
+              limit: { type: 'integer' },
+              next_cursor: { type: 'string', nullable: true },
+              stale: { type: 'boolean', description: 'Only when serving a cached copy' },
+              cached_at: { type: 'string', format: 'date-time', description: 'Only when serving a cached copy' }
+            }
+          }),
+          404: response('NotFound'),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/characters/{id}': {
+      parameters: [param('CharacterId')],
+      get: {
+        summary: 'Get a character',
+        description: 'While the database is down the last good copy is served with X-Degraded: true, or a 503 if there isn\'t one.',
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({ type: 'array', maxItems: 1, items: ref('RankedCharacter') }, 'The character, or an empty array if there is none'),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/characters/{id}/elo': {
+      parameters: [param('CharacterId')],
+      put: {
+        summary: 'Apply a manual elo correction',
+        description: 'Admin only. Not counted as a vote, and only elo changes, not the other rating systems. Votes go through POST /matches.',
+        security: [{ apiKey: [] }, { bearer: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['wins_change', 'losses_change', 'elo_change'],
+                additionalProperties: false,
+                properties: {
+                  wins_change: { type: 'integer' },
+                  losses_change: { type: 'integer' },
+                  elo_change: { type: 'integer' },
+                  recent_change: { type: 'number', deprecated: true, description: 'Ignored, derived from the elo history' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { message: { type: 'string' }, character: ref('Character') }
+          }),
+          404: response('NotFound'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+
+    '/characters/{id}/matches': {
+      parameters: [param('CharacterId')],
+      get: {
+        summary: 'A character\'s match history, newest first',
+        parameters: [param('Limit'), param('Offset')],
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({
+            type: 'object',
+            properties: {
+              matches: { type: 'array', items: ref('CharacterMatch') },
+              total: { type: 'integer' },
+              limit: { type: 'integer' },
+              offset: { type: 'integer' }
+            }
+          }),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/characters/{id}/elo-history': {
+      parameters: [param('CharacterId')],
+      get: {
+        summary: 'A character\'s elo over time, bucketed by day or week',
+        parameters: [
+          { name: 'bucket', in: 'query', schema: { type: 'string', enum: HISTORY_BUCKETS, default: 'day' } },
+          { name: 'from', in: 'query', description: 'Defaults to 30 days before to', schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', description: 'Defaults to now', schema: { type: 'string', format: 'date-time' } }
+        ],
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({
+            type: 'object',
+            properties: {
+              character_id: { type: 'string', format: 'uuid' },
+              bucket: { type: 'string', enum: HISTORY_BUCKETS },
+              from: { type: 'string', format: 'date-time' },
+              to: { type: 'string', format: 'date-time' },
+              points: { type: 'array', items: ref('EloHistoryPoint') }
+            }
+          }),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/characters/{a}/vs/{b}': {
+      parameters: [
+        { name: 'a', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+        { name: 'b', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+      ],
+      get: {
+        summary: 'Compare two characters for a matchup',
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({
+            type: 'object',
+            properties: {
+              a: ref('RankedCharacter'),
+              b: ref('RankedCharacter'),
+              prediction: {
+                type: 'object',
+                description: 'Chance of each side winning, from their elo',
+                properties: {
+                  a_win_probability: { type: 'number', minimum: 0, maximum: 1 },
+                  b_win_probability: { type: 'number', minimum: 0, maximum: 1 }
+                }
+              },
+              head_to_head: {
+                type: 'object',
+                properties: {
+                  matches: { type: 'integer' },
+                  a_wins: { type: 'integer' },
+                  b_wins: { type: 'integer' },
+                  last_match_at: { type: 'string', format: 'date-time', nullable: true },
+                  recent: {
+                    type: 'array',
+                    description: 'Their latest meetings, newest first',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        created_at: { type: 'string', format: 'date-time' },
+                        winner_id: { type: 'string', format: 'uuid' },
+                        winner_elo_before: { type: 'integer' },
+                        winner_elo_after: { type: 'integer' },
+                        loser_elo_before: { type: 'integer' },
+                        loser_elo_after: { type: 'integer' }
+                      }
+                    }
+                  }
+                }
+              },
+              form: {
+                type: 'object',
+                properties: { a: ref('Form'), b: ref('Form') }
+              }
+            }
+          }),
+          404: response('NotFound'),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/categories': {
+      get: {
+        summary: 'List categories',
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({ type: 'object', properties: { categories: { type: 'array', items: ref('Category') } } }),
+          500: response('ServerError'),
+          503: response('ServiceUnavailable')
+        }
+      }
+    },
+
+    '/leaderboard': {
+      get: {
+        summary: 'A page of the leaderboard',
+        description: 'While the database is down the last good copy of the page is served with X-Degraded: true, or a 503 if there isn\'t one.',
+        parameters: [param('Limit'), param('Offset'), param('Category')],
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({
+            type: 'object',
+            properties: {
+              category: { ...ref('Category'), nullable: true },
+              characters: { type: 'array', items: ref('RankedCharacter') },
+              total: { type: 'integer' },
+              limit: { type: 'integer' },
+              offset: { type: 'integer' },
+              stale: { type: 'boolean', description: 'Only when serving a cached copy' },
+              cached_at: { type: 'string', format: 'date-time', description: 'Only when serving a cached copy' }
+            }
+          }),
+          404: response('NotFound'),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/leaderboard/movers': {
+      get: {
+        summary: 'Biggest elo risers and fallers over a window',
+        parameters: [
+          {
+            name: 'window', in: 'query', description: 'At most 52w',
+            schema: { type: 'string', pattern: '^\\d+[hdw]$', 'x-pattern-message': 'must be a number followed by h, d or w, e.g. 24h or 7d', default: '24h' }
+          },
+          param('Limit')
+        ],
+        responses: {
+          ...NOT_MODIFIED,
+          200: json({
+            type: 'object',
+            properties: {
+              window: { type: 'string' },
+              risers: { type: 'array', items: ref('Mover') },
+              fallers: { type: 'array', items: ref('Mover') }
+            }
+          }),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/matchup': {
+      get: {
+        summary: 'Pick two characters to vote between',
+        parameters: [param('Category')],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              category: { ...ref('Category'), nullable: true },
+              characters: { type: 'array', minItems: 2, maxItems: 2, items: ref('Character') },
+              token: { type: 'string', description: 'Send back with the vote to POST /matches' },
+              expires_at: { type: 'string', format: 'date-time' }
+            }
+          }),
+          404: response('NotFound'),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/matches': {
+      post: {
+        summary: 'Vote on a matchup',
+        parameters: [
+          {
+            name: 'X-Session-Id',
+            in: 'header',
+            description: 'Rate limited per session as well as per IP',
+            schema: { type: 'string', maxLength: 128, pattern: '^[A-Za-z0-9._-]+$', 'x-pattern-message': 'may only contain letters, digits, ".", "_" and "-"' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['token', 'winner_id'],
+                properties: {
+                  token: { type: 'string', minLength: 1 },
+                  winner_id: { type: 'string', format: 'uuid' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: json({
+            type: 'object',
+            properties: {
+              message: { type: 'string' },
+              match: ref('Match'),
+              winner: ref('Character'),
+              loser: ref('Character'),
+              winner_change: { type: 'integer' },
+              loser_change: { type: 'integer' },
+              category_changes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    category_id: { type: 'integer' },
+                    winner_change: { type: 'integer' },
+                    loser_change: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }, 'Created'),
+          404: response('NotFound'),
+          409: json(ref('Error'), 'The matchup token has already been used'),
+          ...VOTE_ERRORS
+        }
+      }
+    },
+
+    '/matches/recent': {
+      get: {
+        summary: 'The most recent matches across all characters',
+        parameters: [param('Limit')],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              matches: {
+                type: 'array',
+                items: {
+                  allOf: [
+                    ref('Match'),
+                    {
+                      type: 'object',
+                      properties: {
+                        winner_name: { type: 'string' },
+                        winner_image_path: { type: 'string', nullable: true },
+                        loser_name: { type: 'string' },
+                        loser_image_path: { type: 'string', nullable: true }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          }),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+
+    '/stream/leaderboard': {
+      get: {
+        summary: 'Server-Sent Events stream of elo changes',
+        description: 'Sends an elo event with character_id, first_name, elo, delta, rank and match_id for every change. ' +
+          'Reconnect with Last-Event-ID to replay missed events, a reset event means they are gone and the leaderboard should be refetched. ' +
+          'Only changes made by the API process serving the stream are sent, so it assumes a single API process: votes handled by other ' +
+          'processes, CLI imports and scrapes never show up, and replay ids are only valid on the process that issued them.',
+        parameters: [
+          { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+          { name: 'last_event_id', in: 'query', description: 'For clients that can\'t set headers', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+        }
+      }
+    },
+
+    '/scrape-characters': {
+      post: {
+        summary: 'Scrape the character list and sync it into the database',
+        security: [{ apiKey: [] }, { bearer: [] }],
+        parameters: [
+          { name: 'dry_run', in: 'query', description: 'Report what would change without saving', schema: { type: 'boolean', default: false } }
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              message: { type: 'string' },
+              summary: { type: 'object', description: 'Sync summary, for real runs' },
+              report: { type: 'object', description: 'Validation report, for dry runs' }
+            }
+          }),
+          409: json(ref('Error'), 'The scrape is much smaller than the current table and was refused'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+
+    '/update-character-images': {
+      post: {
+        summary: 'Start a job that scrapes every character\'s page',
+        security: [{ apiKey: [] }, { bearer: [] }],
+        parameters: [
+          { name: 'delay', in: 'query', description: 'Milliseconds between page requests', schema: { type: 'integer', minimum: 0, default: 1000 } }
+        ],
+        responses: {
+          202: json({ type: 'object', properties: { message: { type: 'string' }, job: ref('Job') } }, 'Accepted'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+
+    '/jobs': {
+      post: {
+        summary: 'Start a background job',
+        security: [{ apiKey: [] }, { bearer: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: { type: 'string', enum: Object.keys(JOB_TYPES) },
+                  delay: { type: 'integer', minimum: 0, description: 'Milliseconds between items, default 1000' },
+                  concurrency: { type: 'integer', minimum: 1, description: 'Items worked on at once, default 2, clamped to 5' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          202: json(ref('Job'), 'Accepted'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+
+    '/jobs/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+      get: {
+        summary: 'A job\'s progress and failed items',
+        security: [{ apiKey: [] }, { bearer: [] }],
+        responses: {
+          200: json(ref('Job')),
+          404: response('NotFound'),
+          ...ADMIN_ERRORS
+        }
+      }
+    },
+
+    '/healthz': {
+      get: {
+        summary: 'Liveness, reports database reachability and pool saturation',
+        responses: {
+          200: json({
+            allOf: [
+              {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', enum: ['ok', 'degraded'] },
+                  uptime_seconds: { type: 'integer' }
+                }
+              },
+              ref('Health')
+            ]
+          })
+        }
+      }
+    },
+
+    '/readyz': {
+      get: {
+        summary: 'Readiness, fails while the database is down or migrations haven\'t run',
+        responses: {
+          200: json(ref('Readiness')),
+          503: json(ref('Readiness'), 'Not ready, see the Retry-After header')
+        }
+      }
+    },
+
+    '/metrics': {
+      get: {
+        summary: 'Metrics in the Prometheus text format',
+        description: 'Request latency, votes applied, image proxy cache results, job outcomes and pg pool connections.',
+        responses: {
+          200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' } } } }
+        }
+      }
+    },
+
+    '/image-proxy': {
+      get: {
+        summary: 'Fetch, cache and optionally resize a wiki image',
+        parameters: [
+          { name: 'url', in: 'query', required: true, schema: { type: 'string', format: 'uri' } },
+          { name: 'w', in: 'query', schema: { type: 'integer', enum: ALLOWED_WIDTHS } }
+        ],
+        responses: {
+          200: {
+            description: 'The image, or a placeholder with X-Image-Fallback: true if the wiki can\'t be reached',
+            content: { 'image/*': { schema: { type: 'string', format: 'binary' } } }
+          },
+          304: { description: 'Not modified' },
+          400: response('BadRequest')
+        }
+      }
+    }
+  }
+};
+
+module.exports = openapi;
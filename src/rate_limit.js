@@ -0,0 +1,141 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'rate_limit' });
+
+// How often the memory store drops expired counters
+const MEMORY_STORE_SWEEP_MS = 60 * 1000;
+// How often the postgres store deletes expired rows
+const POSTGRES_STORE_SWEEP_MS = 10 * 60 * 1000;
+
+/**
+ * Creates an in-memory counter store. Counters are lost on restart and aren't
+ * shared between processes.
+ * @returns {Object} Store with increment(key, windowMs)
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, MEMORY_STORE_SWEEP_MS);
+  // Don't keep the process alive just for the sweeper
+  sweep.unref();
+
+  return {
+    /**
+     * Counts a hit against a key within a fixed window
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<Object>} { count, resetAt } where resetAt is a Date
+     */
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    }
+  };
+}
+
+/**
+ * Creates a counter store backed by the rate_limits table, so limits are
+ * shared between processes and survive restarts
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Object} Store with increment(key, windowMs)
+ */
+function createPostgresStore(pool) {
+  const sweep = setInterval(() => {
+    pool.query('DELETE FROM rate_limits WHERE reset_at <= NOW()').catch(error => {
+      logger.error('failed to sweep rate_limits', { error });
+    });
+  }, POSTGRES_STORE_SWEEP_MS);
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const result = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, NOW() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs / 1000]
+      );
+
+      return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+    }
+  };
+}
+
+/**
+ * Creates the store selected by RATE_LIMIT_STORE (memory or postgres)
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Object} The store
+ */
+function createStore(pool) {
+  return process.env.RATE_LIMIT_STORE === 'postgres'
+    ? createPostgresStore(pool)
+    : createMemoryStore();
+}
+
+/**
+ * Creates an Express middleware that limits how often a client can hit a route
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Prefix for counter keys, so limiters don't share counts
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Maximum hits per key per window
+ * @param {Function} options.keyGenerator - (request) => key, or null to skip limiting the request
+ * @param {Object} options.store - Store created by createMemoryStore or createPostgresStore
+ * @returns {Function} Express middleware
+ */
+function rateLimit({ name, windowMs, max, keyGenerator, store }) {
+  return async (request, response, next) => {
+    const key = keyGenerator(request);
+    if (!key) {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await store.increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      // Fail open, a broken store shouldn't take voting down with it
+      logger.error('rate limit store failed', { limiter: name, error });
+      return next();
+    }
+
+    response.setHeader('X-RateLimit-Limit', max);
+    response.setHeader('X-RateLimit-Remaining', Math.max(max - counter.count, 0));
+
+    if (counter.count > max) {
+      const retryAfter = Math.max(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000), 1);
+      logger.warn('rate limit exceeded', { limiter: name, key });
+      response.setHeader('Retry-After', retryAfter);
+      return response.status(429).json({
+        error: 'Too many requests',
+        message: `Rate limit exceeded, try again in ${retryAfter} seconds`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  createStore,
+  rateLimit
+};
@@ -0,0 +1,124 @@
+const elo = require('./elo');
+const glicko2 = require('./glicko2');
+const trueskill = require('./trueskill');
+
+const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+/**
+ * Rating systems, all updated on every match. Each one has:
+ *   update(winner, loser) - new column values for both character rows
+ *   describe(row) - the ratings exposed on character endpoints, including a
+ *     conservative score (the rating we're fairly sure the character is above)
+ *   scoreSql(prefix) - SQL for the conservative score, for sorting and ranking
+ */
+const RATING_SYSTEMS = {
+  elo: {
+    update: (winner, loser) => {
+      const { winnerChange, loserChange } = elo.calculateMatch(winner, loser);
+      return {
+        winner: { elo: winner.elo + winnerChange },
+        loser: { elo: loser.elo + loserChange }
+      };
+    },
+    // Elo has no measure of uncertainty, so its score is just the rating
+    describe: (row) => ({ rating: row.elo, score: row.elo }),
+    scoreSql: (prefix) => `${prefix}elo`
+  },
+
+  glicko2: {
+    update: (winner, loser) => {
+      const player = (row) => ({ rating: row.glicko_rating, deviation: row.glicko_rd, volatility: row.glicko_volatility });
+      const columns = (rating) => ({
+        glicko_rating: rating.rating,
+        glicko_rd: rating.deviation,
+        glicko_volatility: rating.volatility
+      });
+
+      const result = glicko2.calculateMatch(player(winner), player(loser));
+      return { winner: columns(result.winner), loser: columns(result.loser) };
+    },
+    describe: (row) => ({
+      rating: round(row.glicko_rating, 1),
+      deviation: round(row.glicko_rd, 1),
+      volatility: round(row.glicko_volatility, 5),
+      score: round(row.glicko_rating - 2 * row.glicko_rd, 1)
+    }),
+    scoreSql: (prefix) => `(${prefix}glicko_rating - 2 * ${prefix}glicko_rd)`
+  },
+
+  trueskill: {
+    update: (winner, loser) => {
+      const player = (row) => ({ mu: row.trueskill_mu, sigma: row.trueskill_sigma });
+      const columns = (rating) => ({ trueskill_mu: rating.mu, trueskill_sigma: rating.sigma });
+
+      const result = trueskill.calculateMatch(player(winner), player(loser));
+      return { winner: columns(result.winner), loser: columns(result.loser) };
+    },
+    describe: (row) => ({
+      mu: round(row.trueskill_mu, 2),
+      sigma: round(row.trueskill_sigma, 2),
+      score: round(row.trueskill_mu - 3 * row.trueskill_sigma, 2)
+    }),
+    scoreSql: (prefix) => `(${prefix}trueskill_mu - 3 * ${prefix}trueskill_sigma)`
+  }
+};
+
+// System the leaderboard ranks by and the score sort uses
+const ACTIVE_RATING_SYSTEM = process.env.RATING_SYSTEM || 'elo';
+if (!RATING_SYSTEMS[ACTIVE_RATING_SYSTEM]) {
+  throw new Error(`Unknown RATING_SYSTEM "${ACTIVE_RATING_SYSTEM}", expected one of: ${Object.keys(RATING_SYSTEMS).join(', ')}`);
+}
+
+/**
+ * Works out every rating system's new values for both sides of a match
+ * @param {Object} winner - Winner's character row
+ * @param {Object} loser - Loser's character row
+ * @returns {Object} { winner, loser } with the column values to save for each
+ */
+function updateRatings(winner, loser) {
+  const updates = { winner: {}, loser: {} };
+
+  for (const system of Object.values(RATING_SYSTEMS)) {
+    const { winner: winnerColumns, loser: loserColumns } = system.update(winner, loser);
+    Object.assign(updates.winner, winnerColumns);
+    Object.assign(updates.loser, loserColumns);
+  }
+
+  return updates;
+}
+
+/**
+ * Describes a character's ratings in every system
+ * @param {Object} row - Character row
+ * @returns {Object} { system, score, elo, glicko2, trueskill } where score is the active system's conservative score
+ */
+function describeRatings(row) {
+  const ratings = {};
+  for (const [name, system] of Object.entries(RATING_SYSTEMS)) {
+    ratings[name] = system.describe(row);
+  }
+
+  return {
+    system: ACTIVE_RATING_SYSTEM,
+    score: ratings[ACTIVE_RATING_SYSTEM].score,
+    ...ratings
+  };
+}
+
+/**
+ * Builds SQL for a rating system's conservative score
+ * @param {string} system - One of the RATING_SYSTEMS keys (default: the active system)
+ * @param {string} prefix - Column prefix, e.g. 'c.'
+ * @returns {string} SQL expression
+ */
+function scoreSql(system = ACTIVE_RATING_SYSTEM, prefix = '') {
+  return RATING_SYSTEMS[system].scoreSql(prefix);
+}
+
+module.exports = {
+  RATING_SYSTEMS,
+  ACTIVE_RATING_SYSTEM,
+  updateRatings,
+  describeRatings,
+  scoreSql
+};
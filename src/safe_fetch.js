@@ -0,0 +1,150 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+
+// Hosts the image proxy may fetch from. Subdomains of these are allowed too.
+const ALLOWED_HOSTS = (process.env.IMAGE_PROXY_ALLOWED_HOSTS || 'static.wikia.nocookie.net,vignette.wikia.nocookie.net')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+// Largest image the proxy will download, in bytes
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_PROXY_MAX_BYTES) || 5 * 1024 * 1024;
+// Most redirects the proxy will follow for one image
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local and other ranges that must never be fetched.
+// One list per family, as a BlockList checks IPv4 addresses against IPv6
+// rules as if they were IPv4-mapped, which would block every IPv4 address.
+const blockedAddresses = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.ipv4.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped (in either its dotted or hex form), NAT64 and 6to4 addresses
+// embed an IPv4 address, so they're blocked whole rather than unwrapped
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.ipv6.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Creates an error with a code the image proxy can map to a response
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function rejection(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Checks whether an IP address is private, loopback or otherwise internal
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address must not be fetched
+ */
+function isBlockedAddress(address) {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return blockedAddresses[family].check(address, family);
+}
+
+/**
+ * Checks whether a URL is http(s) and on an allowed host
+ * @param {string} url - URL to check
+ * @returns {boolean} Whether the URL may be fetched
+ */
+function isAllowedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return false;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  return ALLOWED_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * DNS lookup that refuses to resolve to internal addresses. Used for every
+ * connection, including redirects, so DNS tricks can't reach internal hosts.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @returns {Promise<Array>} Resolved { address, family } entries
+ */
+async function safeLookup(hostname, options) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw rejection('EBLOCKEDADDRESS', `${hostname} resolves to blocked address ${blocked.address}`);
+  }
+
+  return addresses;
+}
+
+/**
+ * Downloads an image from an allowed host, enforcing the redirect, size and
+ * content type limits
+ * @param {string} url - Image URL
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} { buffer, contentType }
+ * @throws {Error} With code EHOSTNOTALLOWED, EBLOCKEDADDRESS, EUNSUPPORTEDTYPE or ETOOLARGE when the image is refused
+ */
+async function fetchSafeImage(url, headers = {}) {
+  if (!isAllowedUrl(url)) {
+    throw rejection('EHOSTNOTALLOWED', `${url} is not on an allowed host`);
+  }
+
+  let response;
+  try {
+    response = await axios({
+      method: 'GET',
+      url,
+      responseType: 'arraybuffer',
+      headers,
+      timeout: 10000, // 10 second timeout
+      maxRedirects: MAX_REDIRECTS,
+      maxContentLength: MAX_IMAGE_BYTES,
+      lookup: safeLookup,
+      beforeRedirect: (options) => {
+        const target = `${options.protocol}//${options.hostname}${options.path}`;
+        if (!isAllowedUrl(target)) {
+          throw rejection('EHOSTNOTALLOWED', `Redirect to ${target} is not on an allowed host`);
+        }
+      }
+    });
+  } catch (error) {
+    // Errors thrown from beforeRedirect come back wrapped by the redirect handler
+    if (error.cause && error.cause.code === 'EHOSTNOTALLOWED') {
+      throw error.cause;
+    }
+    if (/maxContentLength/.test(error.message)) {
+      throw rejection('ETOOLARGE', `${url} is larger than ${MAX_IMAGE_BYTES} bytes`);
+    }
+    throw error;
+  }
+
+  // SVGs are refused as well since they can carry scripts that would run under our domain
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!contentType.startsWith('image/') || contentType === 'image/svg+xml') {
+    throw rejection('EUNSUPPORTEDTYPE', `${url} returned unsupported content type ${contentType || 'none'}`);
+  }
+
+  return {
+    buffer: Buffer.from(response.data),
+    contentType
+  };
+}
+
+module.exports = {
+  isAllowedUrl,
+  isBlockedAddress,
+  fetchSafeImage
+};
@@ -0,0 +1,142 @@
+/**
+ * Parses SCRAPE_MAX_DROP_PERCENT. 0 is a real setting that refuses any drop,
+ * so only a missing or non-numeric value falls back to the default.
+ * @param {string|undefined} value - The environment variable
+ * @returns {number} The largest drop allowed, as a percentage
+ * @throws {Error} When the value is negative
+ */
+function parseMaxDropPercent(value) {
+  const parsed = parseFloat(value);
+  if (parsed < 0) {
+    throw new Error(`SCRAPE_MAX_DROP_PERCENT must not be negative, got ${value}`);
+  }
+  return Number.isFinite(parsed) ? parsed : 20;
+}
+
+// Largest drop in active characters a real scrape may cause, as a percentage
+const MAX_DROP_PERCENT = parseMaxDropPercent(process.env.SCRAPE_MAX_DROP_PERCENT);
+
+// Names and slugs that are almost certainly not characters, with the reason reported for each
+const SUSPICIOUS_NAMES = [
+  {
+    reason: 'table header',
+    test: ({ first_name }) => /^names?$/i.test(first_name)
+  },
+  {
+    reason: 'chapter or episode title',
+    test: ({ slug, first_name }) =>
+      /^(Chapter|Episode|Volume|Movie|Special)_\d+/i.test(slug) || /^(chapter|episode|volume) \d+/i.test(first_name)
+  },
+  {
+    reason: 'navigation link',
+    test: ({ slug }) =>
+      /^(Category|File|Template|Special|Help|User|Forum|Message_Wall|One_Piece_Wiki):/i.test(slug) ||
+      /^(List_of_|Main_Page$)/i.test(slug)
+  },
+  {
+    reason: 'not a name',
+    test: ({ first_name }) => !/\p{L}/u.test(first_name)
+  }
+];
+
+/**
+ * Works out how much smaller a scrape is than the current table
+ * @param {number} scrapedCount - Number of unique characters scraped
+ * @param {number} activeCount - Number of active characters in the table
+ * @returns {number} The drop as a percentage of the active characters (0 if the scrape isn't smaller)
+ */
+function scrapeDropPercent(scrapedCount, activeCount) {
+  if (activeCount === 0) {
+    return 0;
+  }
+  return Math.max(Math.round((activeCount - scrapedCount) / activeCount * 1000) / 10, 0);
+}
+
+/**
+ * Refuses a sync that would deactivate a large share of the characters, which
+ * almost always means the list page changed rather than the characters did
+ * @param {number} scrapedCount - Number of unique characters scraped
+ * @param {number} activeCount - Number of active characters in the table
+ * @throws {Error} With code ESCRAPEDROP when the drop is over SCRAPE_MAX_DROP_PERCENT
+ */
+function assertNoSharpDrop(scrapedCount, activeCount) {
+  const drop = scrapeDropPercent(scrapedCount, activeCount);
+
+  if (drop > MAX_DROP_PERCENT) {
+    const error = new Error(
+      `Scrape found ${scrapedCount} characters but ${activeCount} are active (${drop}% drop, limit ${MAX_DROP_PERCENT}%), refusing to sync`
+    );
+    error.code = 'ESCRAPEDROP';
+    throw error;
+  }
+}
+
+/**
+ * Finds names scraped under more than one slug. They become separate
+ * characters, which is usually a sign the wrong link was picked up.
+ * @param {Array} characters - Characters returned by scrapeOnePieceCharacters
+ * @returns {Array} Array of { first_name, slugs }
+ */
+function findDuplicateNames(characters) {
+  const slugsByName = new Map();
+  for (const { slug, first_name } of characters) {
+    slugsByName.set(first_name, [...(slugsByName.get(first_name) || []), slug]);
+  }
+
+  return [...slugsByName]
+    .filter(([, slugs]) => slugs.length > 1)
+    .map(([first_name, slugs]) => ({ first_name, slugs }));
+}
+
+/**
+ * Finds scraped names that look like headers, chapter titles or navigation links
+ * @param {Array} characters - Characters returned by scrapeOnePieceCharacters
+ * @returns {Array} Array of { slug, first_name, reason }
+ */
+function findSuspiciousNames(characters) {
+  return characters.flatMap(character => {
+    const match = SUSPICIOUS_NAMES.find(({ test }) => test(character));
+    return match ? [{ slug: character.slug, first_name: character.first_name, reason: match.reason }] : [];
+  });
+}
+
+/**
+ * Builds the report returned by a dry run scrape
+ * @param {Array} characters - Characters returned by scrapeOnePieceCharacters
+ * @param {Object} plan - Plan from planSync for these characters
+ * @param {number} activeCount - Number of active characters in the table
+ * @returns {Object} The report
+ */
+function buildScrapeReport(characters, plan, activeCount) {
+  const scraped = plan.inserts.length + plan.updates.length + plan.unchanged.length;
+  const drop = scrapeDropPercent(scraped, activeCount);
+
+  return {
+    scraped,
+    active: activeCount,
+    drop_percent: drop,
+    would_refuse: drop > MAX_DROP_PERCENT,
+    duplicates: findDuplicateNames(characters),
+    suspicious: findSuspiciousNames(characters),
+    // Characters that would be left without an image once synced
+    missing_images: [...plan.inserts, ...plan.updates, ...plan.unchanged]
+      .filter(character => !character.image_path)
+      .map(character => character.first_name),
+    diff: {
+      added: plan.inserts.map(character => character.first_name),
+      updated: plan.updates.map(character => character.first_name),
+      deactivated: plan.deactivations.map(row => row.first_name),
+      unchanged: plan.unchanged.length
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  parseMaxDropPercent,
+  scrapeDropPercent,
+  assertNoSharpDrop,
+  findDuplicateNames,
+  findSuspiciousNames,
+  buildScrapeReport
+};
@@ -1,22 +1,73 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { assertNoSharpDrop, buildScrapeReport } = require('./scrape_report');
+const { notifyDataChanged } = require('./cache');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'scraper' });
+
+const WIKI_URL = 'https://onepiece.fandom.com/wiki';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Downloads a wiki page. The scrape functions take a replacement through their
+ * options so they can be run against saved pages.
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} The page HTML
+ */
+async function fetchWikiPage(url) {
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': USER_AGENT
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Extracts the wiki page slug from a character link
+ * @param {string} href - Link href, e.g. /wiki/Monkey_D._Luffy
+ * @returns {string|null} The slug (e.g. Monkey_D._Luffy) or null if it isn't a wiki page link
+ */
+function slugFromHref(href) {
+  const match = /^\/wiki\/([^?#]+)/.exec(href || '');
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Gets an image's URL, skipping the data: placeholder lazy loaded images are
+ * served with until the real one is swapped in from data-src
+ * @param {Object} $img - Cheerio selection of the img element
+ * @returns {string|null} The image URL or null if it doesn't have one
+ */
+function imageSource($img) {
+  return [$img.attr('src'), $img.attr('data-src')]
+    .find(source => source && !source.startsWith('data:')) || null;
+}
 
 /**
  * Scrapes One Piece character data from the Fandom wiki
- * @returns {Promise<Array>} Array of character objects with name and image_path
+ * @param {Object} options - Scrape options
+ * @param {Function} options.fetchPage - (url) => Promise of the page HTML (default: downloads it)
+ * @returns {Promise<Array>} Array of character objects with slug, name and image_path, one per slug
  */
-async function scrapeOnePieceCharacters() {
+async function scrapeOnePieceCharacters({ fetchPage = fetchWikiPage } = {}) {
   try {
-    console.log('Starting to scrape One Piece characters...');
+    logger.info('scraping character list');
     
-    const response = await axios.get('https://onepiece.fandom.com/wiki/List_of_Canon_Characters', {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
+    const html = await fetchPage(`${WIKI_URL}/List_of_Canon_Characters`);
 
-    const $ = cheerio.load(response.data);
+    const $ = cheerio.load(html);
     const characters = [];
+    const seenSlugs = new Set();
 
     // The characters are in a table with specific structure
     // Looking for the main character table
@@ -28,10 +79,17 @@ async function scrapeOnePieceCharacters() {
         // Try different column positions for the name
         for (let i = 0; i < Math.min($cells.length, 5); i++) {
           const nameCell = $cells.eq(i);
-          const nameLink = nameCell.find('a').first();
+          // Skip links that only wrap an icon
+          const nameLink = nameCell.find('a').filter((i, link) => $(link).text().trim()).first();
           const characterName = nameLink.text().trim();
+          const slug = slugFromHref(nameLink.attr('href'));
           
-          if (characterName && characterName !== 'Name' && characterName.length > 1) {
+          if (characterName && characterName !== 'Name' && characterName.length > 1 && slug) {
+            // The same character can be linked from more than one row
+            if (seenSlugs.has(slug)) {
+              break;
+            }
+            
             // Clean up the character name
             const cleanName = characterName.replace(/\s+/g, ' ').trim();
             
@@ -40,19 +98,16 @@ async function scrapeOnePieceCharacters() {
               let imagePath = null;
               const imgElement = $row.find('img').first();
               if (imgElement.length) {
-                imagePath = imgElement.attr('src') || imgElement.attr('data-src');
+                imagePath = imageSource(imgElement);
               }
               
+              seenSlugs.add(slug);
               characters.push({
+                slug,
                 first_name: cleanName,
                 last_name: '', // Empty as requested
                 title: '', // Empty as requested
-                image_path: imagePath,
-                elo: 1000, // Default ELO
-                rank: 1000, // Default rank (matching your schema)
-                recent_change: 0,
-                wins: 0,
-                losses: 0
+                image_path: imagePath
               });
               
               // Only take the first valid character per row to avoid duplicates
@@ -63,166 +118,366 @@ async function scrapeOnePieceCharacters() {
       }
     });
 
-    console.log(`Successfully scraped ${characters.length} characters`);
+    logger.info('scraped character list', { characters: characters.length });
     return characters;
 
   } catch (error) {
-    console.error('Error scraping One Piece characters:', error.message);
+    logger.error('failed to scrape character list', { error });
     throw error;
   }
 }
 
 /**
- * Scrapes characters and saves them to the database
+ * Works out how syncing scraped characters would change the table. Characters
+ * are matched by wiki slug (or by name for rows saved before slugs existed).
+ * @param {Array} existingRows - Current rows with id, slug, first_name, image_path and active
+ * @param {Array} characters - Characters returned by scrapeOnePieceCharacters
+ * @returns {Object} { inserts, updates, unchanged, deactivations }. Matched characters carry the row id and the image they'd be saved with.
+ */
+function planSync(existingRows, characters) {
+  const bySlug = new Map();
+  const legacyByName = new Map();
+  for (const row of existingRows) {
+    if (row.slug) {
+      bySlug.set(row.slug, row);
+    } else {
+      legacyByName.set(row.first_name, row);
+    }
+  }
+
+  const inserts = [];
+  const updates = [];
+  const unchanged = [];
+  const seenSlugs = new Set();
+  const seenIds = new Set();
+
+  for (const character of characters) {
+    // The list page can link the same character more than once
+    if (seenSlugs.has(character.slug)) {
+      continue;
+    }
+    seenSlugs.add(character.slug);
+
+    const row = bySlug.get(character.slug) || legacyByName.get(character.first_name);
+
+    if (!row) {
+      inserts.push(character);
+      continue;
+    }
+
+    seenIds.add(row.id);
+    legacyByName.delete(row.first_name);
+
+    // Keep any image already scraped from the character's own page
+    const matched = { ...character, id: row.id, image_path: row.image_path || character.image_path };
+
+    if (row.slug !== matched.slug || row.first_name !== matched.first_name ||
+        row.image_path !== matched.image_path || !row.active) {
+      updates.push(matched);
+    } else {
+      unchanged.push(matched);
+    }
+  }
+
+  return {
+    inserts,
+    updates,
+    unchanged,
+    deactivations: existingRows.filter(row => row.active && !seenIds.has(row.id))
+  };
+}
+
+/**
+ * Syncs scraped characters into the database without touching ratings.
+ * New characters are inserted, changed ones updated, and characters that are
+ * no longer on the wiki are marked inactive rather than deleted. Refuses to
+ * sync a scrape much smaller than the current table.
  * @param {Object} pool - PostgreSQL connection pool
+ * @param {Array} characters - Characters returned by scrapeOnePieceCharacters
+ * @returns {Promise<Object>} Summary with the names added, updated and deactivated
  */
-async function scrapeAndSaveCharacters(pool) {
+async function syncCharacters(pool, characters) {
+  const client = await pool.connect();
+
   try {
-    const characters = await scrapeOnePieceCharacters();
-    
-    if (characters.length === 0) {
-      return characters;
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT id, slug, first_name, image_path, active FROM characters');
+    const plan = planSync(existing.rows, characters);
+
+    assertNoSharpDrop(
+      plan.inserts.length + plan.updates.length + plan.unchanged.length,
+      existing.rows.filter(row => row.active).length
+    );
+
+    for (const character of plan.inserts) {
+      await client.query(
+        'INSERT INTO characters (slug, first_name, last_name, title, image_path) VALUES ($1, $2, $3, $4, $5)',
+        [character.slug, character.first_name, character.last_name, character.title, character.image_path]
+      );
     }
-    
-    // Clear existing characters (optional - you might want to keep existing data)
-    await pool.query('DELETE FROM characters');
-    
-    // Insert new characters
-    for (const character of characters) {
-      await pool.query(
-        'INSERT INTO characters (first_name, last_name, title, image_path, elo, rank, recent_change, wins, losses) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)',
-        [
-          character.first_name, 
-          character.last_name, 
-          character.title, 
-          character.image_path, 
-          character.elo, 
-          character.rank, 
-          character.recent_change,
-          character.wins,
-          character.losses
-        ]
+
+    for (const character of plan.updates) {
+      await client.query(
+        'UPDATE characters SET slug = $1, first_name = $2, image_path = $3, active = TRUE WHERE id = $4',
+        [character.slug, character.first_name, character.image_path, character.id]
       );
     }
-    
-    console.log(`Successfully saved ${characters.length} characters to database`);
-    return characters;
-    
+
+    if (plan.deactivations.length > 0) {
+      await client.query(
+        'UPDATE characters SET active = FALSE WHERE id = ANY($1::uuid[])',
+        [plan.deactivations.map(row => row.id)]
+      );
+    }
+
+    await notifyDataChanged(client, 'scrape');
+    await client.query('COMMIT');
+
+    return {
+      scraped: characters.length,
+      added: plan.inserts.map(character => character.first_name),
+      updated: plan.updates.map(character => character.first_name),
+      deactivated: plan.deactivations.map(row => row.first_name),
+      unchanged: plan.unchanged.length,
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
-    console.error('Error saving characters to database:', error.message);
+    await client.query('ROLLBACK');
     throw error;
+  } finally {
+    client.release();
   }
 }
 
 /**
- * Scrapes a specific character's image from their individual page
- * @param {string} characterName - The character's name
- * @returns {Promise<string|null>} The image URL or null if not found
+ * Reports what syncing scraped characters would do, without changing anything
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Array} characters - Characters returned by scrapeOnePieceCharacters
+ * @returns {Promise<Object>} Report from buildScrapeReport
  */
-async function scrapeCharacterImage(characterName) {
-  try {
-    // Convert character name to URL format (spaces to underscores)
-    const urlName = characterName.replace(/\s+/g, '_');
-    const characterUrl = `https://onepiece.fandom.com/wiki/${encodeURIComponent(urlName)}`;
-    
-    console.log(`Scraping image for character: ${characterName} from ${characterUrl}`);
-    
-    const response = await axios.get(characterUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
+async function previewSync(pool, characters) {
+  const existing = await pool.query('SELECT id, slug, first_name, image_path, active FROM characters');
+
+  return buildScrapeReport(
+    characters,
+    planSync(existing.rows, characters),
+    existing.rows.filter(row => row.active).length
+  );
+}
 
-    const $ = cheerio.load(response.data);
+/**
+ * Scrapes characters and syncs them into the database
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} options - Scrape options
+ * @param {boolean} options.dryRun - Only report what would change (default: false)
+ * @param {Function} options.fetchPage - (url) => Promise of the page HTML (default: downloads it)
+ * @returns {Promise<Object>} Summary of the sync, or the dry run report
+ */
+async function scrapeAndSaveCharacters(pool, { dryRun = false, fetchPage = fetchWikiPage } = {}) {
+  try {
+    const characters = await scrapeOnePieceCharacters({ fetchPage });
     
-    // Look for image with pi-image-thumbnail class
-    const thumbnailImg = $('img.pi-image-thumbnail').first();
+    if (dryRun) {
+      const report = await previewSync(pool, characters);
+      logger.info('sync dry run finished', {
+        added: report.diff.added.length,
+        updated: report.diff.updated.length,
+        deactivated: report.diff.deactivated.length
+      });
+      return report;
+    }
     
-    if (thumbnailImg.length) {
-      const imageUrl = thumbnailImg.attr('src') || thumbnailImg.attr('data-src');
-      if (imageUrl) {
-        console.log(`Found image for ${characterName}: ${imageUrl}`);
-        return imageUrl;
-      }
+    // An empty scrape almost certainly means the page layout changed, don't deactivate everyone
+    if (characters.length === 0) {
+      throw new Error('Scrape returned no characters, refusing to sync');
     }
     
-    console.log(`No image found for character: ${characterName}`);
-    return null;
+    const summary = await syncCharacters(pool, characters);
+    
+    logger.info('synced characters', {
+      added: summary.added.length,
+      updated: summary.updated.length,
+      deactivated: summary.deactivated.length
+    });
+    return summary;
     
   } catch (error) {
-    console.error(`Error scraping image for character ${characterName}:`, error.message);
+    logger.error('failed to save characters', { error });
+    throw error;
+  }
+}
+
+/**
+ * Reads a field from a character page's portable infobox as clean text, with
+ * reference markers removed and line breaks turned into semicolons
+ * @param {Object} $ - Cheerio instance for the page
+ * @param {Array<string>} sources - data-source names to try, in order
+ * @returns {string|null} The field's text or null if the infobox doesn't have it
+ */
+function infoboxText($, sources) {
+  for (const source of sources) {
+    const $value = $(`.portable-infobox [data-source="${source}"] .pi-data-value`).first();
+    if (!$value.length) {
+      continue;
+    }
+
+    const $clean = $value.clone();
+    $clean.find('sup').remove();
+    $clean.find('br').replaceWith(';');
+
+    const text = $clean.text()
+      .replace(/\[\d+\]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (text) {
+      return text;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits a semicolon separated infobox value, dropping former entries
+ * @param {string|null} text - Value from infoboxText
+ * @returns {string|null} The current entries joined with "; ", or null if there are none
+ */
+function currentEntries(text) {
+  if (!text) {
     return null;
   }
+
+  // Split on semicolons outside parentheses, notes like "(former; defected)" belong to their entry
+  const entries = text.split(/;(?![^(]*\))/)
+    .map(entry => entry.trim())
+    .filter(entry => entry && !/\((former|defected|disbanded)/i.test(entry));
+
+  return entries.length > 0 ? entries.join('; ') : null;
 }
 
 /**
- * Updates character images in the database by scraping individual character pages
- * @param {Object} pool - PostgreSQL connection pool
- * @param {number} delay - Delay between requests in milliseconds (default: 1000ms)
- * @returns {Promise<Object>} Summary of updates
+ * Parses the first bounty from an infobox value like "3,000,000,000; 1,500,000,000"
+ * @param {string|null} text - Value from infoboxText
+ * @returns {number|null} The current bounty in berries, or null if there isn't one
  */
-async function updateCharacterImages(pool, delay = 1000) {
+function parseBounty(text) {
+  const match = /\d{1,3}(?:,\d{3})+|\d+/.exec(text || '');
+  return match ? parseInt(match[0].replace(/,/g, '')) : null;
+}
+
+/**
+ * Parses the debut chapter and episode from an infobox value like "Chapter 1; Episode 1"
+ * @param {string|null} text - Value from infoboxText
+ * @returns {Object} { debut_chapter, debut_episode }, either may be null
+ */
+function parseDebut(text) {
+  const chapter = /Chapter (\d+)/i.exec(text || '');
+  const episode = /Episode (\d+)/i.exec(text || '');
+
+  return {
+    debut_chapter: chapter ? parseInt(chapter[1]) : null,
+    debut_episode: episode ? parseInt(episode[1]) : null
+  };
+}
+
+/**
+ * Scrapes a character's image and infobox details from their individual page
+ * @param {Object} character - Character with first_name and (if known) slug
+ * @param {Object} options - Scrape options
+ * @param {Function} options.fetchPage - (url) => Promise of the page HTML (default: downloads it)
+ * @returns {Promise<Object|null>} { image_path, epithet, affiliation, bounty, devil_fruit, debut_chapter, debut_episode } or null if the page couldn't be loaded
+ */
+async function scrapeCharacterPage(character, { fetchPage = fetchWikiPage } = {}) {
+  const characterName = character.first_name;
+  
   try {
-    console.log('Starting to update character images...');
+    // Prefer the slug from the list page, otherwise convert the name (spaces to underscores)
+    const urlName = character.slug || characterName.replace(/\s+/g, '_');
+    const characterUrl = `${WIKI_URL}/${encodeURIComponent(urlName)}`;
     
-    // Get all characters from the database
-    const result = await pool.query('SELECT id, first_name, image_path FROM characters ORDER BY first_name');
-    const characters = result.rows;
+    logger.info('scraping character page', { character: characterName, url: characterUrl });
     
-    console.log(`Found ${characters.length} characters to update`);
+    const $ = cheerio.load(await fetchPage(characterUrl));
     
-    let updated = 0;
-    let skipped = 0;
-    let failed = 0;
+    // Look for image with pi-image-thumbnail class
+    let imagePath = null;
+    const thumbnailImg = $('img.pi-image-thumbnail').first();
+    if (thumbnailImg.length) {
+      imagePath = imageSource(thumbnailImg);
+    }
     
-    for (const character of characters) {
-      try {
-        // Add delay between requests to be respectful to the server
-        if (delay > 0) {
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        
-        const imageUrl = await scrapeCharacterImage(character.first_name);
-        
-        if (imageUrl) {
-          // Update the character's image_path in the database
-          await pool.query(
-            'UPDATE characters SET image_path = $1 WHERE id = $2',
-            [imageUrl, character.id]
-          );
-          updated++;
-          console.log(`Updated image for ${character.first_name}`);
-        } else {
-          skipped++;
-          console.log(`Skipped ${character.first_name} - no image found`);
-        }
-        
-      } catch (error) {
-        failed++;
-        console.error(`Failed to update ${character.first_name}:`, error.message);
-      }
+    if (!imagePath) {
+      logger.warn('no image found on character page', { character: characterName });
     }
     
-    const summary = {
-      total: characters.length,
-      updated,
-      skipped,
-      failed,
-      timestamp: new Date().toISOString()
+    return {
+      image_path: imagePath,
+      epithet: currentEntries(infoboxText($, ['epithet'])),
+      affiliation: currentEntries(infoboxText($, ['affiliation'])),
+      bounty: parseBounty(infoboxText($, ['bounty'])),
+      devil_fruit: infoboxText($, ['dfename', 'dfname']),
+      ...parseDebut(infoboxText($, ['first']))
     };
     
-    console.log('Character image update summary:', summary);
-    return summary;
-    
   } catch (error) {
-    console.error('Error updating character images:', error.message);
-    throw error;
+    logger.error('failed to scrape character page', { character: characterName, error });
+    return null;
+  }
+}
+
+/**
+ * Scrapes one character's page and saves their image and infobox details
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} character - Character row with id, first_name and slug
+ * @param {Object} options - Scrape options
+ * @param {Function} options.fetchPage - (url) => Promise of the page HTML (default: downloads it)
+ * @returns {Promise<boolean>} Whether the character was updated (false if the page couldn't be scraped)
+ */
+async function updateCharacterDetails(pool, character, { fetchPage = fetchWikiPage } = {}) {
+  const details = await scrapeCharacterPage(character, { fetchPage });
+  
+  if (!details) {
+    logger.warn('skipped character, page could not be scraped', { character_id: character.id, character: character.first_name });
+    return false;
   }
+  
+  // Keep existing values the page doesn't have, so a page without an
+  // infobox (or a wiki layout change) doesn't wipe them
+  await pool.query(
+    `UPDATE characters SET
+       image_path = COALESCE($1, image_path),
+       epithet = COALESCE($2, epithet),
+       affiliation = COALESCE($3, affiliation),
+       bounty = COALESCE($4, bounty),
+       devil_fruit = COALESCE($5, devil_fruit),
+       debut_chapter = COALESCE($6, debut_chapter),
+       debut_episode = COALESCE($7, debut_episode),
+       details_scraped_at = NOW()
+     WHERE id = $8`,
+    [
+      details.image_path,
+      details.epithet,
+      details.affiliation,
+      details.bounty,
+      details.devil_fruit,
+      details.debut_chapter,
+      details.debut_episode,
+      character.id
+    ]
+  );
+  
+  logger.info('updated character page details', { character_id: character.id, character: character.first_name });
+  return true;
 }
 
 module.exports = {
   scrapeOnePieceCharacters,
+  planSync,
+  syncCharacters,
+  previewSync,
   scrapeAndSaveCharacters,
-  scrapeCharacterImage,
-  updateCharacterImages
+  scrapeCharacterPage,
+  updateCharacterDetails
 };
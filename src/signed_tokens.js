@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+const sign = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Creates an HMAC-signed token carrying the given claims
+ * @param {Object} claims - Claims to embed, should include exp (unix seconds)
+ * @param {string} secret - Secret used to sign the token
+ * @returns {string} The token
+ */
+function signToken(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verifies a token created by signToken, checking its signature and expiry
+ * @param {string} token - The token
+ * @param {string} secret - Secret the token was signed with
+ * @returns {Object|null} The token's claims, or null if it's invalid or expired
+ */
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload, secret), signature)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+
+  // Only our own payloads are signed, but a valid JSON null must not crash the check
+  if (!claims || typeof claims !== 'object' || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return claims;
+}
+
+module.exports = {
+  safeEqual,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const { refreshCategoryMembers } = require('./categories');
+const { notifyDataChanged } = require('./cache');
+
+const FORMATS = ['json', 'csv'];
+// merge updates characters that already exist, skip-existing leaves them alone
+// and replace deletes every character (and their matches) before importing
+const IMPORT_MODES = ['merge', 'replace', 'skip-existing'];
+// Columns where an empty value is a value, e.g. the '' the scraper stores for last_name
+const TEXT_TYPES = ['text', 'character varying', 'character'];
+
+/**
+ * Quotes a CSV field if it needs it
+ * @param {*} value - Field value
+ * @returns {string} The CSV field, empty for null
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts rows to CSV with a header line
+ * @param {Array} rows - Rows to convert
+ * @param {Array<string>} columns - Columns to write, in order
+ * @returns {string} The CSV text
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses CSV with a header line into rows. Empty fields stay '', as CSV
+ * can't tell an empty string from a null; importData decides per column.
+ * @param {string} text - The CSV text
+ * @returns {Array} Array of row objects keyed by the header columns
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(fields => fields.some(value => value !== ''));
+  return rows.map(fields => Object.fromEntries(header.map((column, index) => [column, fields[index] ?? ''])));
+}
+
+/**
+ * Gets the path matches are written to alongside a CSV export of characters
+ * @param {string} file - Characters CSV path
+ * @returns {string} e.g. backup.matches.csv for backup.csv
+ */
+function matchesCsvPath(file) {
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}.matches${extension || '.csv'}`;
+}
+
+/**
+ * Lists a table's columns, none if the table doesn't exist
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>} The column names
+ */
+async function tableColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  return result.rows.map(row => row.column_name);
+}
+
+/**
+ * Lists a table's text columns
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>} The column names
+ */
+async function textColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1 AND data_type = ANY($2)`,
+    [table, TEXT_TYPES]
+  );
+  return result.rows.map(row => row.column_name);
+}
+
+/**
+ * Drops the empty values a column can't hold, so they fall back to the
+ * column's default on insert instead of failing (e.g. active) or storing null
+ * @param {Object} row - Row from the file
+ * @param {Array<string>} texts - The table's text columns
+ * @returns {Object} The row without those values
+ */
+function withoutEmptyValues(row, texts) {
+  return Object.fromEntries(Object.entries(row).filter(([column, value]) => value !== '' || texts.includes(column)));
+}
+
+/**
+ * Reads every character and, if the table exists, every match
+ * @param {Object} pool - PostgreSQL connection pool
+ * @returns {Promise<Object>} { exported_at, characters, matches }
+ */
+async function exportData(pool) {
+  const characters = await pool.query('SELECT * FROM characters ORDER BY first_name ASC, id ASC');
+  const matches = (await tableColumns(pool, 'matches')).length > 0
+    ? (await pool.query('SELECT * FROM matches ORDER BY created_at ASC, id ASC')).rows
+    : [];
+
+  return {
+    exported_at: new Date().toISOString(),
+    characters: characters.rows,
+    matches
+  };
+}
+
+/**
+ * Writes an export to disk. CSV exports write matches to a second file next
+ * to the characters file.
+ * @param {Object} data - Export from exportData
+ * @param {string} file - Path to write
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<string>} The files written
+ */
+function writeExport(data, file, format) {
+  if (format === 'json') {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    return [file];
+  }
+
+  const columnsOf = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+  fs.writeFileSync(file, toCsv(data.characters, columnsOf(data.characters)));
+  if (data.matches.length === 0) {
+    return [file];
+  }
+
+  fs.writeFileSync(matchesCsvPath(file), toCsv(data.matches, columnsOf(data.matches)));
+  return [file, matchesCsvPath(file)];
+}
+
+/**
+ * Reads an export from disk. Also accepts a plain JSON array of characters,
+ * the format local_db.json was saved in.
+ * @param {string} file - Path to read
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Object} { characters, matches }
+ */
+function readExport(file, format) {
+  if (format === 'json') {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(data)
+      ? { characters: data, matches: [] }
+      : { characters: data.characters || [], matches: data.matches || [] };
+  }
+
+  const matchesFile = matchesCsvPath(file);
+  return {
+    characters: parseCsv(fs.readFileSync(file, 'utf-8')),
+    matches: fs.existsSync(matchesFile) ? parseCsv(fs.readFileSync(matchesFile, 'utf-8')) : []
+  };
+}
+
+/**
+ * Builds an INSERT for the columns of a row that have a value, so missing
+ * ones (including the id) fall back to their defaults
+ * @param {string} table - Table name
+ * @param {Object} row - Row to insert
+ * @param {Array<string>} columns - Columns the table has
+ * @param {string} onConflict - ON CONFLICT clause, if any
+ * @returns {Array} [sql, params]
+ */
+function insertQuery(table, row, columns, onConflict = '') {
+  const present = columns.filter(column => row[column] !== undefined && !(column === 'id' && !row.id));
+  const names = present.map(column => `"${column}"`).join(', ');
+  const placeholders = present.map((column, index) => `$${index + 1}`).join(', ');
+  return [
+    `INSERT INTO ${table} (${names}) VALUES (${placeholders}) ${onConflict} RETURNING id`,
+    present.map(column => row[column])
+  ];
+}
+
+/**
+ * Imports characters and matches in a single transaction. Characters are
+ * matched to existing rows by id, then by slug, then by name for rows that
+ * have neither. Matches are imported when
+ * both their characters are, and never overwrite an existing match.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} data - { characters, matches } from readExport
+ * @param {Object} options - Import options
+ * @param {string} options.mode - One of IMPORT_MODES (default: merge)
+ * @param {boolean} options.dryRun - Roll back instead of committing (default: false)
+ * @returns {Promise<Object>} Summary of what was (or would be) imported
+ */
+async function importData(pool, data, { mode = 'merge', dryRun = false } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}", expected one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const client = await pool.connect();
+  const summary = {
+    mode,
+    dry_run: dryRun,
+    characters: { inserted: 0, updated: 0, skipped: 0 },
+    matches: { inserted: 0, skipped: 0 },
+    ignored_columns: []
+  };
+
+  try {
+    await client.query('BEGIN');
+
+    const characterColumns = await tableColumns(client, 'characters');
+    if (characterColumns.length === 0) {
+      throw new Error('The characters table does not exist, run migrations first (npm run migrate)');
+    }
+    const fileColumns = [...new Set(data.characters.flatMap(row => Object.keys(row)))];
+    const columns = fileColumns.filter(column => characterColumns.includes(column));
+    const characterTexts = await textColumns(client, 'characters');
+    summary.ignored_columns = fileColumns.filter(column => !characterColumns.includes(column));
+
+    if (mode === 'replace') {
+      // Matches, elo history and category ratings cascade with the characters
+      await client.query('DELETE FROM characters');
+    }
+
+    // Maps ids in the file to ids in this database, so matches point at the right rows
+    const idMap = new Map();
+
+    for (const character of data.characters) {
+      // Rows without an id or slug (e.g. from local_db.json) fall back to matching by name
+      const existing = mode === 'replace' ? { rows: [] } : await client.query(
+        `SELECT id FROM characters
+         WHERE ($1::text IS NOT NULL AND id::text = $1)
+            OR ($2::text IS NOT NULL AND slug = $2)
+            OR ($1::text IS NULL AND $2::text IS NULL AND first_name = $3)
+         ORDER BY (id::text = $1) DESC NULLS LAST, (slug = $2) DESC NULLS LAST
+         LIMIT 1`,
+        [character.id || null, character.slug || null, character.first_name]
+      );
+
+      if (existing.rows.length === 0) {
+        const [sql, params] = insertQuery('characters', withoutEmptyValues(character, characterTexts), columns);
+        const inserted = await client.query(sql, params);
+        idMap.set(character.id, inserted.rows[0].id);
+        summary.characters.inserted++;
+        continue;
+      }
+
+      const id = existing.rows[0].id;
+      idMap.set(character.id, id);
+
+      // An empty cell says nothing about the value, so it never overwrites one
+      const updateColumns = columns.filter(column => column !== 'id' && character[column] !== undefined && character[column] !== '');
+      if (mode === 'skip-existing' || updateColumns.length === 0) {
+        summary.characters.skipped++;
+        continue;
+      }
+
+      await client.query(
+        `UPDATE characters SET ${updateColumns.map((column, index) => `"${column}" = $${index + 2}`).join(', ')}
+         WHERE id = $1`,
+        [id, ...updateColumns.map(column => character[column])]
+      );
+      summary.characters.updated++;
+    }
+
+    const matchColumns = data.matches.length > 0 ? await tableColumns(client, 'matches') : [];
+
+    for (const match of data.matches) {
+      const winnerId = idMap.get(match.winner_id);
+      const loserId = idMap.get(match.loser_id);
+
+      if (matchColumns.length === 0 || !winnerId || !loserId) {
+        summary.matches.skipped++;
+        continue;
+      }
+
+      const [sql, params] = insertQuery(
+        'matches',
+        // matches has no text columns
+        withoutEmptyValues({ ...match, winner_id: winnerId, loser_id: loserId }, []),
+        matchColumns,
+        'ON CONFLICT (id) DO NOTHING'
+      );
+      const inserted = await client.query(sql, params);
+
+      if (inserted.rows.length > 0) {
+        summary.matches.inserted++;
+      } else {
+        summary.matches.skipped++;
+      }
+    }
+
+    summary.category_members_added = await refreshCategoryMembers(client);
+    await notifyDataChanged(client, 'import');
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Usage:
+//   node src/transfer.js export <file> [--format json|csv] [--env-prefix PROD_]
+//   node src/transfer.js import <file> [--format json|csv] [--mode merge|replace|skip-existing] [--dry-run] [--env-prefix PROD_]
+// The format defaults to the file's extension. Connection settings come from
+// the PG_* variables, or e.g. PROD_PG_* with --env-prefix PROD_.
+if (require.main === module) {
+  require('dotenv').config();
+  const { parseArgs } = require('util');
+  const { createPool } = require('./db');
+
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      mode: { type: 'string', default: 'merge' },
+      'dry-run': { type: 'boolean', default: false },
+      'env-prefix': { type: 'string', default: '' }
+    }
+  });
+
+  const [command, file] = positionals;
+  const format = values.format || path.extname(file || '').slice(1).toLowerCase();
+  const pool = createPool(values['env-prefix']);
+
+  const run = async () => {
+    if (!file) {
+      throw new Error('Missing file, usage: node src/transfer.js <export|import> <file>');
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+
+    switch (command) {
+      case 'export': {
+        const data = await exportData(pool);
+        const files = writeExport(data, file, format);
+        console.log(`Exported ${data.characters.length} characters and ${data.matches.length} matches to ${files.join(', ')}`);
+        break;
+      }
+      case 'import': {
+        const summary = await importData(pool, readExport(file, format), {
+          mode: values.mode,
+          dryRun: values['dry-run']
+        });
+        console.log(JSON.stringify(summary, null, 2));
+        if (summary.dry_run) {
+          console.log('Dry run, nothing was saved');
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}", expected export or import`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(error => {
+      console.error('Transfer failed:', error.message);
+      pool.end(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  IMPORT_MODES,
+  toCsv,
+  parseCsv,
+  exportData,
+  writeExport,
+  readExport,
+  importData
+};
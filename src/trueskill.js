@@ -0,0 +1,77 @@
+// Starting skill and uncertainty for a new character
+const DEFAULT_MU = 25;
+const DEFAULT_SIGMA = DEFAULT_MU / 3;
+// Skill difference that gives roughly a 76% chance of winning
+const BETA = DEFAULT_SIGMA / 2;
+// Uncertainty added before each match so ratings can keep moving
+const TAU = DEFAULT_SIGMA / 100;
+
+/**
+ * Complementary error function (Numerical Recipes erfcc, accurate to about 1.2e-7)
+ * @param {number} x - Input
+ * @returns {number} erfc(x)
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + z / 2);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * Standard normal probability density
+ * @param {number} x - Input
+ * @returns {number} The density at x
+ */
+function pdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution
+ * @param {number} x - Input
+ * @returns {number} P(X <= x)
+ */
+function cdf(x) {
+  return erfc(-x / Math.SQRT2) / 2;
+}
+
+/**
+ * Rates both sides of a 1v1 match without draws
+ * @param {Object} winner - Winner's { mu, sigma }
+ * @param {Object} loser - Loser's { mu, sigma }
+ * @returns {Object} { winner, loser } with each side's new { mu, sigma }
+ */
+function calculateMatch(winner, loser) {
+  const winnerVariance = winner.sigma * winner.sigma + TAU * TAU;
+  const loserVariance = loser.sigma * loser.sigma + TAU * TAU;
+  const c = Math.sqrt(2 * BETA * BETA + winnerVariance + loserVariance);
+  const t = (winner.mu - loser.mu) / c;
+
+  // v is the mean shift and w the variance shrink for a truncated Gaussian.
+  // For very unlikely wins the cdf underflows, where v tends to -t.
+  const probability = cdf(t);
+  const v = probability > 1e-300 ? pdf(t) / probability : -t;
+  const w = v * (v + t);
+
+  return {
+    winner: {
+      mu: winner.mu + winnerVariance / c * v,
+      sigma: Math.sqrt(winnerVariance * (1 - winnerVariance / (c * c) * w))
+    },
+    loser: {
+      mu: loser.mu - loserVariance / c * v,
+      sigma: Math.sqrt(loserVariance * (1 - loserVariance / (c * c) * w))
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MU,
+  DEFAULT_SIGMA,
+  BETA,
+  cdf,
+  calculateMatch
+};
@@ -0,0 +1,207 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'validation' });
+
+// Formats the validator understands. Others are documented but not checked.
+const FORMATS = {
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+/**
+ * Resolves a local $ref like #/components/schemas/Character
+ * @param {Object} spec - The OpenAPI document
+ * @param {Object} schema - Schema that may be a reference
+ * @returns {Object} The referenced schema, or the schema itself
+ */
+function resolve(spec, schema) {
+  if (!schema || !schema.$ref) {
+    return schema;
+  }
+  return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+}
+
+/**
+ * Converts a query or path parameter string to the type its schema expects
+ * @param {string} value - Raw parameter value
+ * @param {Object} schema - Parameter schema
+ * @returns {*} The converted value, or the original string if it doesn't convert
+ */
+function coerce(value, schema) {
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (schema.type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Checks a value against a schema, supporting the subset of JSON Schema used
+ * in openapi.js
+ * @param {Object} spec - The OpenAPI document, for resolving references
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {string} name - Name used in error messages
+ * @returns {Array<string>} Problems found, empty if the value is valid
+ */
+function validateValue(spec, schema, value, name) {
+  schema = resolve(spec, schema);
+
+  if (value === null) {
+    return schema.nullable ? [] : [`${name} must not be null`];
+  }
+
+  const types = {
+    string: typeof value === 'string',
+    integer: Number.isInteger(value),
+    number: typeof value === 'number' && Number.isFinite(value),
+    boolean: typeof value === 'boolean',
+    array: Array.isArray(value),
+    object: typeof value === 'object' && !Array.isArray(value)
+  };
+
+  if (schema.type && !types[schema.type]) {
+    return [`${name} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${name} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    return [`${name} must be a valid ${schema.format === 'uuid' ? 'UUID' : schema.format}`];
+  }
+
+  const problems = [];
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    problems.push(schema['x-pattern-message'] ? `${name} ${schema['x-pattern-message']}` : `${name} is malformed`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    problems.push(`${name} must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    problems.push(`${name} must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${name} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${name} must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => problems.push(...validateValue(spec, schema.items, item, `${name}[${index}]`)));
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        problems.push(`${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        problems.push(...validateValue(spec, properties[key], propertyValue, key));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${key} is not allowed, only these fields are: ${Object.keys(properties).join(', ')}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Creates middleware that validates a request's path parameters, query and
+ * JSON body against the operation documented for its route. Must be used in
+ * the route itself (e.g. app.get('/characters/:id', validate, handler)) so
+ * request.route is set. Invalid requests get a 400 listing every problem.
+ * @param {Object} spec - The OpenAPI document
+ * @returns {Function} Express middleware
+ */
+function validateRequest(spec) {
+  return (request, response, next) => {
+    // Express paths use :id where OpenAPI uses {id}
+    const path = request.route.path.replace(/:(\w+)/g, '{$1}');
+    const pathItem = spec.paths[path] || {};
+    const operation = pathItem[request.method.toLowerCase()];
+
+    if (!operation) {
+      return next();
+    }
+
+    const sources = { path: request.params, query: request.query, header: request.headers };
+    const details = [];
+
+    for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])].map(p => resolve(spec, p))) {
+      const name = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+      const raw = sources[parameter.in] ? sources[parameter.in][name] : undefined;
+
+      if (raw === undefined || raw === '') {
+        if (parameter.required) {
+          details.push({ in: parameter.in, name: parameter.name, message: `${parameter.name} is required` });
+        }
+        continue;
+      }
+
+      if (typeof raw !== 'string') {
+        details.push({ in: parameter.in, name: parameter.name, message: `${parameter.name} must only be given once` });
+        continue;
+      }
+
+      const schema = resolve(spec, parameter.schema);
+      for (const message of validateValue(spec, schema, coerce(raw, schema), parameter.name)) {
+        details.push({ in: parameter.in, name: parameter.name, message });
+      }
+    }
+
+    const body = operation.requestBody && resolve(spec, operation.requestBody);
+    if (body) {
+      const schema = body.content['application/json'].schema;
+      if (request.body === undefined && body.required) {
+        details.push({ in: 'body', name: 'body', message: 'A JSON request body is required' });
+      } else if (request.body !== undefined) {
+        for (const message of validateValue(spec, schema, request.body, 'body')) {
+          details.push({ in: 'body', name: 'body', message });
+        }
+      }
+    }
+
+    if (details.length === 0) {
+      return next();
+    }
+
+    logger.warn('invalid request', {
+      method: request.method,
+      route: request.route.path,
+      problems: details.map(detail => detail.message)
+    });
+    response.status(400).json({
+      error: 'Invalid input',
+      message: details[0].message,
+      details
+    });
+  };
+}
+
+module.exports = {
+  validateValue,
+  validateRequest
+};
@@ -0,0 +1,54 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'vote_audit' });
+
+// Votes for the same character from one client before they get flagged
+const REPEAT_VOTE_THRESHOLD = parseInt(process.env.REPEAT_VOTE_THRESHOLD) || 10;
+// Window the repeat votes are counted over, in milliseconds
+const REPEAT_VOTE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Counts a vote towards its client's per-character tally and writes a flag to
+ * vote_flags the first time the client crosses the threshold in a window.
+ * Votes aren't blocked here, flags are for reviewing after the fact.
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {Object} store - Counter store from rate_limit.js
+ * @param {Object} vote - The vote
+ * @param {string} vote.ip - Client IP address
+ * @param {string|null} vote.sessionId - Client session id, if sent
+ * @param {string} vote.characterId - Character the client voted for
+ * @param {string} vote.route - Route the vote came through
+ * @returns {Promise<boolean>} Whether the vote raised a new flag
+ */
+async function flagRepeatedVotes(pool, store, { ip, sessionId, characterId, route }) {
+  const clients = [['ip', ip]];
+  if (sessionId) {
+    clients.push(['session', sessionId]);
+  }
+
+  let flagged = false;
+
+  for (const [clientType, clientId] of clients) {
+    const { count } = await store.increment(
+      `repeat-vote:${clientType}:${clientId}:${characterId}`,
+      REPEAT_VOTE_WINDOW_MS
+    );
+
+    // Only flag on the vote that crosses the threshold, not every one after it
+    if (count === REPEAT_VOTE_THRESHOLD + 1) {
+      await pool.query(
+        `INSERT INTO vote_flags (reason, ip, session_id, character_id, route, vote_count)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [`repeated_votes_by_${clientType}`, ip, sessionId, characterId, route, count]
+      );
+      logger.warn('flagged repeated votes', { client_type: clientType, client_id: clientId, character_id: characterId, votes: count });
+      flagged = true;
+    }
+  }
+
+  return flagged;
+}
+
+module.exports = {
+  flagRepeatedVotes
+};
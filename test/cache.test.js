@@ -0,0 +1,133 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryCache, createResponseCache } = require('../src/cache');
+
+/**
+ * Runs the cache middleware against a fake request. The handler is only
+ * called on a miss, like the route handler behind it.
+ * @returns {Promise<Object>} { status, headers, body, handled }
+ */
+async function run(cached, { url = '/leaderboard', headers = {}, handler = (response) => response.json({ ok: true }) } = {}) {
+  const result = { headers: {}, handled: false };
+  const response = {
+    statusCode: 200,
+    setHeader(name, value) {
+      result.headers[name] = value;
+    },
+    get: (name) => result.headers[name],
+    status(code) {
+      this.statusCode = code;
+      result.status = code;
+      return this;
+    },
+    type() {
+      return this;
+    },
+    json(payload) {
+      result.status = this.statusCode;
+      result.body = payload;
+    },
+    send(text) {
+      result.body = JSON.parse(text);
+    },
+    end() {}
+  };
+  // Stands in for Express's request.fresh, which checks If-None-Match against the ETag
+  const request = {
+    originalUrl: url,
+    get fresh() {
+      return headers['if-none-match'] !== undefined && headers['if-none-match'] === result.headers.ETag;
+    }
+  };
+
+  await cached(request, response, () => {
+    result.handled = true;
+    handler(response);
+  });
+  return result;
+}
+
+describe('createMemoryCache', () => {
+  it('expires entries after their ttl', async () => {
+    const cache = createMemoryCache();
+    await cache.set('a', 1, 1000);
+    await cache.set('b', 2, -1);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('b'), undefined);
+  });
+
+  it('evicts the least recently used entry when full', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 1000);
+    await cache.set('b', 2, 1000);
+    await cache.get('a');
+    await cache.set('c', 3, 1000);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), 3);
+  });
+});
+
+describe('createResponseCache', () => {
+  it('serves the second request from the cache with the same ETag', async () => {
+    const { cached } = createResponseCache();
+
+    const first = await run(cached);
+    const second = await run(cached, { handler: () => assert.fail('handler should not run on a hit') });
+
+    assert.equal(first.headers['X-Cache'], 'MISS');
+    assert.equal(second.headers['X-Cache'], 'HIT');
+    assert.equal(second.headers.ETag, first.headers.ETag);
+    assert.ok(second.headers['Last-Modified']);
+    assert.deepEqual(second.body, { ok: true });
+  });
+
+  it('answers 304 when the client already has the current copy', async () => {
+    const { cached } = createResponseCache();
+    const { headers } = await run(cached);
+
+    const result = await run(cached, { headers: { 'if-none-match': headers.ETag } });
+    assert.equal(result.status, 304);
+    assert.equal(result.body, undefined);
+  });
+
+  it('misses again after invalidation', async () => {
+    const { cached, invalidate } = createResponseCache();
+    await run(cached);
+    invalidate('elo');
+
+    const result = await run(cached, { handler: (response) => response.json({ ok: false }) });
+    assert.equal(result.handled, true);
+    assert.equal(result.headers['X-Cache'], 'MISS');
+    assert.deepEqual(result.body, { ok: false });
+  });
+
+  it('does not cache errors or no-store responses', async () => {
+    const { cached } = createResponseCache();
+    await run(cached, { url: '/a', handler: (response) => response.status(500).json({ error: 'x', message: 'y' }) });
+    await run(cached, {
+      url: '/b',
+      handler: (response) => {
+        response.setHeader('Cache-Control', 'no-store');
+        response.json({ stale: true });
+      }
+    });
+
+    assert.equal((await run(cached, { url: '/a' })).handled, true);
+    assert.equal((await run(cached, { url: '/b' })).handled, true);
+  });
+
+  it('falls through to the handler when the backend fails', async () => {
+    const backend = {
+      get: async () => { throw new Error('backend down'); },
+      set: async () => {}
+    };
+    const { cached } = createResponseCache({ backend });
+
+    assert.equal((await run(cached)).handled, true);
+  });
+});
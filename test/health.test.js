@@ -0,0 +1,91 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isConnectionError, createHealthMonitor } = require('../src/health');
+
+const refused = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' });
+
+/**
+ * A pool whose queries fail while down is true
+ */
+function fakePool() {
+  return {
+    down: false,
+    totalCount: 10,
+    idleCount: 0,
+    waitingCount: 3,
+    options: { max: 10 },
+    async query() {
+      if (this.down) {
+        throw refused();
+      }
+      return { rows: [{ '?column?': 1 }] };
+    }
+  };
+}
+
+describe('isConnectionError', () => {
+  it('tells connection failures from query errors', () => {
+    assert.equal(isConnectionError(refused()), true);
+    assert.equal(isConnectionError(Object.assign(new Error('terminating connection'), { code: '57P01' })), true);
+    assert.equal(isConnectionError(Object.assign(new Error('connection failure'), { code: '08006' })), true);
+    assert.equal(isConnectionError(new Error('Connection terminated unexpectedly')), true);
+    assert.equal(isConnectionError(Object.assign(new Error('syntax error'), { code: '42601' })), false);
+    assert.equal(isConnectionError(Object.assign(new Error('duplicate key'), { code: '23505' })), false);
+  });
+});
+
+describe('createHealthMonitor', () => {
+  it('tracks reachability and calls onUp each time the database comes back', async () => {
+    const pool = fakePool();
+    let ups = 0;
+    const health = createHealthMonitor(pool, { onUp: () => ups++ });
+
+    assert.equal(health.isDatabaseUp(), false);
+    assert.equal(await health.check(), true);
+    assert.equal(await health.check(), true);
+    assert.equal(ups, 1);
+
+    pool.down = true;
+    assert.equal(await health.check(), false);
+    assert.match(health.status().database.error, /ECONNREFUSED/);
+    assert.ok(health.status().database.down_since);
+
+    pool.down = false;
+    await health.check();
+    assert.equal(ups, 2);
+    assert.equal(health.status().database.down_since, null);
+  });
+
+  it('reports pool saturation', async () => {
+    const health = createHealthMonitor(fakePool());
+
+    assert.deepEqual(health.status().pool, {
+      max: 10, total: 10, idle: 0, in_use: 10, waiting: 3, utilization: 1, saturated: true
+    });
+  });
+
+  it('answers 503 with Retry-After while the database is down', async () => {
+    const pool = fakePool();
+    const health = createHealthMonitor(pool);
+    const result = { headers: {} };
+    const response = {
+      setHeader: (name, value) => { result.headers[name] = value; },
+      status(code) {
+        result.status = code;
+        return this;
+      },
+      json: (body) => { result.body = body; }
+    };
+
+    health.requireDatabase({ method: 'POST', originalUrl: '/matches' }, response, () => { result.next = true; });
+    assert.equal(result.status, 503);
+    assert.ok(result.headers['Retry-After'] > 0);
+    assert.equal(result.body.error, 'Service unavailable');
+
+    await health.check();
+    health.requireDatabase({ method: 'POST', originalUrl: '/matches' }, response, () => { result.next = true; });
+    assert.equal(result.next, true);
+  });
+});
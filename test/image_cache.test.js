@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.IMAGE_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+process.env.IMAGE_CACHE_MAX_MB = '1';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pruneCache } = require('../src/image_cache');
+
+const dir = process.env.IMAGE_CACHE_DIR;
+
+/**
+ * Writes a file into the cache directory, dated minutesAgo in the past
+ */
+function writeFile(file, data, minutesAgo) {
+  const time = new Date(Date.now() - minutesAgo * 60 * 1000);
+  fs.writeFileSync(path.join(dir, file), data);
+  fs.utimesSync(path.join(dir, file), time, time);
+}
+
+/**
+ * Writes an entry and its meta file
+ */
+function writeEntry(name, bytes, minutesAgo) {
+  writeFile(name, Buffer.alloc(bytes), minutesAgo);
+  writeFile(`${name}.json`, '{}', minutesAgo);
+}
+
+describe('pruneCache', () => {
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('deletes the oldest entries once the cache is over its limit', async () => {
+    writeEntry('oldest', 400 * 1024, 30);
+    writeEntry('middle', 400 * 1024, 20);
+    writeEntry('newest', 400 * 1024, 10);
+
+    assert.equal(await pruneCache(), 1);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['middle', 'middle.json', 'newest', 'newest.json']);
+  });
+
+  it('leaves the cache alone while it is under the limit', async () => {
+    assert.equal(await pruneCache(), 0);
+    assert.equal(fs.readdirSync(dir).length, 4);
+  });
+
+  it('cleans up temp files left by crashed writes', async () => {
+    writeFile('abandoned.1234.tmp', 'x', 120);
+    writeFile('in-progress.5678.tmp', 'x', 0);
+    await pruneCache();
+
+    const files = fs.readdirSync(dir);
+    assert.ok(!files.includes('abandoned.1234.tmp'));
+    assert.ok(files.includes('in-progress.5678.tmp'));
+  });
+});
@@ -0,0 +1,58 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runJob } = require('../src/jobs');
+
+const JOB = { id: 'job-1', type: 'scrape-characters', params: { delay: 0, concurrency: 1 }, total: 1 };
+
+/**
+ * A pool that answers the job runner's queries from handlers, matched in order
+ * against the SQL, and records every query it was sent
+ */
+function fakePool(handlers) {
+  const queries = [];
+  return {
+    queries,
+    async query(text, params) {
+      queries.push(text);
+      const handler = handlers.find(([pattern]) => pattern.test(text));
+      return handler ? handler[1](params) : { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+describe('runJob', () => {
+  it('skips a job another process has claimed', async () => {
+    const pool = fakePool([[/SET status = 'running'/, () => ({ rows: [], rowCount: 0 })]]);
+    await runJob(pool, JOB.id);
+
+    assert.equal(pool.queries.length, 1);
+    assert.match(pool.queries[0], /locked_by IS NULL OR locked_by = \$2 OR heartbeat_at </);
+  });
+
+  it('leaves the job running when the database goes away mid-job', async () => {
+    const pool = fakePool([
+      [/SET status = 'running'/, () => ({ rows: [JOB], rowCount: 1 })],
+      [/SELECT item_key FROM job_items/, () => ({ rows: [{ item_key: 'character-list' }] })],
+      [/SET attempts = attempts \+ 1/, () => {
+        throw Object.assign(new Error('Connection terminated unexpectedly'), { code: 'ECONNRESET' });
+      }]
+    ]);
+    await runJob(pool, JOB.id);
+
+    assert.ok(!pool.queries.some(text => /status = 'failed'/.test(text)));
+  });
+
+  it('marks the job failed on other errors', async () => {
+    const pool = fakePool([
+      [/SET status = 'running'/, () => ({ rows: [JOB], rowCount: 1 })],
+      [/SELECT item_key FROM job_items/, () => {
+        throw Object.assign(new Error('relation "job_items" does not exist'), { code: '42P01' });
+      }]
+    ]);
+    await runJob(pool, JOB.id);
+
+    assert.match(pool.queries[pool.queries.length - 1], /status = 'failed'.*locked_by = NULL/s);
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWindow, getMovers } = require('../src/leaderboard');
+
+describe('parseWindow', () => {
+  it('converts windows to hours', () => {
+    assert.equal(parseWindow('24h'), 24);
+    assert.equal(parseWindow('7d'), 168);
+    assert.equal(parseWindow('2w'), 336);
+  });
+
+  it('rejects malformed and empty windows', () => {
+    assert.equal(parseWindow('24'), null);
+    assert.equal(parseWindow('1y'), null);
+    assert.equal(parseWindow('0d'), null);
+  });
+
+  it('rejects windows longer than 52 weeks', () => {
+    assert.equal(parseWindow('52w'), 52 * 168);
+    assert.equal(parseWindow('365d'), null);
+    assert.equal(parseWindow('99999999999h'), null);
+  });
+});
+
+describe('getMovers', () => {
+  it('returns the biggest risers and fallers over the window', async () => {
+    const calls = [];
+    const pool = {
+      async query(text, params) {
+        calls.push(params);
+        return { rows: /ORDER BY h\.change DESC/.test(text) ? [{ id: 'up', change: 40 }] : [{ id: 'down', change: -25 }] };
+      }
+    };
+
+    assert.deepEqual(await getMovers(pool, 168, 5), {
+      risers: [{ id: 'up', change: 40 }],
+      fallers: [{ id: 'down', change: -25 }]
+    });
+    assert.deepEqual(calls, [[168, 5], [168, 5]]);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { publishEloChanges, streamLeaderboard } = require('../src/leaderboard_stream');
+
+// Matches REPLAY_BUFFER_SIZE in leaderboard_stream.js
+const REPLAY_BUFFER_SIZE = 500;
+
+/**
+ * Connects a fake client to the stream
+ * @param {string} lastEventId - Last-Event-ID to reconnect with, if any
+ * @returns {Object} { events(), close() } where events() parses what has been sent so far
+ */
+function connect(lastEventId) {
+  const writes = [];
+  let onClose;
+  const request = {
+    get: (name) => (name === 'Last-Event-ID' ? lastEventId : undefined),
+    query: {},
+    on: (event, listener) => {
+      onClose = listener;
+    }
+  };
+  const response = {
+    writeHead() {},
+    write: (text) => writes.push(text)
+  };
+
+  streamLeaderboard(request, response);
+
+  return {
+    events: () => writes
+      .filter(text => text.startsWith('id: '))
+      .map(text => {
+        const [, id, type, data] = /^id: (.*)\nevent: (.*)\ndata: (.*)\n\n$/.exec(text);
+        return { id, type, data: JSON.parse(data) };
+      }),
+    close: () => onClose()
+  };
+}
+
+const publish = (name, rank = 1) => publishEloChanges([
+  { character: { id: name, first_name: name, elo: 1000, rank }, delta: 16 }
+]);
+
+describe('streamLeaderboard', () => {
+  it('sends elo events in the order they were published, with the rank they were published with', () => {
+    const client = connect();
+    publish('first', 2);
+    publish('second', 1);
+    client.close();
+
+    const events = client.events();
+    assert.deepEqual(events.map(event => [event.data.first_name, event.data.rank]), [['first', 2], ['second', 1]]);
+  });
+
+  it('replays the events a reconnecting client missed', () => {
+    const client = connect();
+    publish('seen');
+    client.close();
+    const [lastSeen] = client.events();
+
+    publish('missed-1');
+    publish('missed-2');
+
+    const reconnected = connect(lastSeen.id);
+    reconnected.close();
+    assert.deepEqual(reconnected.events().map(event => event.data.first_name), ['missed-1', 'missed-2']);
+  });
+
+  it('sends a reset for an id from another stream', () => {
+    const client = connect('deadbeef-1');
+    client.close();
+
+    const events = client.events();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'reset');
+  });
+
+  it('sends a reset once the missed events have left the buffer', () => {
+    const client = connect();
+    publish('seen');
+    client.close();
+    const [lastSeen] = client.events();
+
+    for (let i = 0; i <= REPLAY_BUFFER_SIZE; i++) {
+      publish(`later-${i}`);
+    }
+
+    const reconnected = connect(lastSeen.id);
+    reconnected.close();
+    assert.deepEqual(reconnected.events().map(event => event.type), ['reset']);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, requestContext } = require('../src/logger');
+
+/**
+ * Captures the JSON lines written while fn runs
+ * @returns {Array<Object>} The parsed entries
+ */
+function capture(fn) {
+  const lines = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  process.stdout.write = process.stderr.write = (chunk) => lines.push(JSON.parse(chunk));
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines;
+}
+
+describe('logger', () => {
+  it('writes JSON entries with bound fields and serialized errors', () => {
+    const logger = createLogger({ module: 'test' });
+    const error = new Error('boom');
+    error.code = 'EBOOM';
+
+    const [entry] = capture(() => logger.error('something failed', { job_id: 'j1', error }));
+
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'something failed');
+    assert.equal(entry.module, 'test');
+    assert.equal(entry.job_id, 'j1');
+    assert.equal(entry.error.message, 'boom');
+    assert.equal(entry.error.code, 'EBOOM');
+    assert.ok(entry.error.stack.includes('boom'));
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('tags entries with the current request id', () => {
+    const logger = createLogger();
+    const entries = capture(() => {
+      requestContext.run({ request_id: 'req-1' }, () => logger.info('inside'));
+      logger.info('outside');
+    });
+
+    assert.equal(entries[0].request_id, 'req-1');
+    assert.equal(entries[1].request_id, undefined);
+  });
+
+  it('drops entries below LOG_LEVEL', () => {
+    const logger = createLogger();
+    process.env.LOG_LEVEL = 'warn';
+    try {
+      const entries = capture(() => {
+        logger.info('quiet');
+        logger.warn('loud');
+      });
+      assert.deepEqual(entries.map(entry => entry.msg), ['loud']);
+    } finally {
+      delete process.env.LOG_LEVEL;
+    }
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyMatch, getHeadToHead, getRecentForm } = require('../src/matches');
+
+/**
+ * A pool that answers each query with the rows of the first handler whose
+ * pattern matches the SQL, and records the parameters it was sent
+ */
+function fakePool(handlers) {
+  const calls = [];
+  return {
+    calls,
+    async query(text, params) {
+      calls.push(params);
+      const [, rows] = handlers.find(([pattern]) => pattern.test(text));
+      return { rows };
+    }
+  };
+}
+
+describe('applyMatch', () => {
+  it('rolls back a reused token without logging it as an error', async () => {
+    const queries = [];
+    const client = {
+      async query(text) {
+        queries.push(text.trim().split(/\s+/).slice(0, 3).join(' '));
+        return { rows: [] };
+      },
+      release() {}
+    };
+    const pool = { connect: async () => client };
+
+    const lines = [];
+    const write = process.stderr.write;
+    process.stderr.write = (chunk) => lines.push(JSON.parse(chunk));
+    try {
+      await assert.rejects(
+        applyMatch(pool, 'a', 'b', { tokenId: 'token-1', expiresAt: new Date() }),
+        { code: 'TOKEN_ALREADY_USED' }
+      );
+    } finally {
+      process.stderr.write = write;
+    }
+
+    assert.equal(queries.at(-1), 'ROLLBACK');
+    assert.deepEqual(lines.filter(entry => entry.level === 'error'), []);
+  });
+});
+
+describe('getHeadToHead', () => {
+  it('combines the record with the most recent meetings', async () => {
+    const lastMatchAt = new Date('2026-10-01T12:00:00Z');
+    const recent = [{ id: 'm2', winner_id: 'b' }, { id: 'm1', winner_id: 'a' }];
+    const pool = fakePool([
+      [/COUNT\(\*\)/, [{ matches: 3, a_wins: 2, b_wins: 1, last_match_at: lastMatchAt }]],
+      [/ORDER BY created_at DESC/, recent]
+    ]);
+
+    assert.deepEqual(await getHeadToHead(pool, 'a', 'b', 5), {
+      matches: 3,
+      a_wins: 2,
+      b_wins: 1,
+      last_match_at: lastMatchAt,
+      recent
+    });
+    assert.deepEqual(pool.calls, [['a', 'b'], ['a', 'b', 5]]);
+  });
+});
+
+describe('getRecentForm', () => {
+  it('counts wins and losses and sums the elo change, newest first', async () => {
+    const pool = fakePool([[/FROM matches/, [
+      { result: 'win', change: 16 },
+      { result: 'loss', change: -12 },
+      { result: 'win', change: 20 }
+    ]]]);
+
+    assert.deepEqual(await getRecentForm(pool, 'a', 10), {
+      results: ['win', 'loss', 'win'],
+      wins: 2,
+      losses: 1,
+      elo_change: 24
+    });
+  });
+
+  it('describes a character with no matches', async () => {
+    const pool = fakePool([[/FROM matches/, []]]);
+    assert.deepEqual(await getRecentForm(pool, 'a', 10), { results: [], wins: 0, losses: 0, elo_change: 0 });
+  });
+});
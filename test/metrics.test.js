@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { counter, histogram, gauge, renderMetrics } = require('../src/metrics');
+
+describe('metrics', () => {
+  it('renders counters per label set, escaping label values', () => {
+    const requests = counter({ name: 'test_requests_total', help: 'Test requests.', labelNames: ['path'] });
+    requests.inc({ path: '/a' });
+    requests.inc({ path: '/a' }, 2);
+    requests.inc({ path: 'say "hi"\\' });
+
+    const text = renderMetrics();
+    assert.match(text, /# HELP test_requests_total Test requests\.\n# TYPE test_requests_total counter\n/);
+    assert.match(text, /^test_requests_total\{path="\/a"\} 3$/m);
+    assert.match(text, /^test_requests_total\{path="say \\"hi\\"\\\\"\} 1$/m);
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const latency = histogram({ name: 'test_latency_seconds', help: 'Test latency.', labelNames: ['route'], buckets: [0.1, 1] });
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 0.5);
+    latency.observe({ route: '/a' }, 3);
+
+    const text = renderMetrics();
+    assert.match(text, /^test_latency_seconds_bucket\{route="\/a",le="0.1"\} 1$/m);
+    assert.match(text, /^test_latency_seconds_bucket\{route="\/a",le="1"\} 2$/m);
+    assert.match(text, /^test_latency_seconds_bucket\{route="\/a",le="\+Inf"\} 3$/m);
+    assert.match(text, /^test_latency_seconds_sum\{route="\/a"\} 3.55$/m);
+    assert.match(text, /^test_latency_seconds_count\{route="\/a"\} 3$/m);
+  });
+
+  it('reads gauges when rendering', () => {
+    let connections = 1;
+    gauge({ name: 'test_connections', help: 'Test connections.', collect: () => connections });
+    connections = 4;
+
+    assert.match(renderMetrics(), /^test_connections 4$/m);
+  });
+
+  it('ignores labels a metric does not declare', () => {
+    const jobs = counter({ name: 'test_jobs_total', help: 'Test jobs.', labelNames: ['type'] });
+    jobs.inc({ type: 'scrape', url: 'https://example.com' });
+
+    assert.match(renderMetrics(), /^test_jobs_total\{type="scrape"\} 1$/m);
+  });
+});
@@ -0,0 +1,46 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMigrationStatus } = require('../src/migrate');
+
+/**
+ * A pool with one client whose connection drops after failOn matches a query
+ */
+function fakePool(failOn) {
+  const client = {
+    released: [],
+    async query(text) {
+      if (failOn.test(text)) {
+        throw Object.assign(new Error('Connection terminated unexpectedly'), { code: 'ECONNRESET' });
+      }
+      return { rows: [] };
+    },
+    release(error) {
+      this.released.push(error || null);
+    }
+  };
+  return { client, connect: async () => client };
+}
+
+describe('migration lock', () => {
+  it('releases the client once the lock is released', async () => {
+    const pool = fakePool(/^$/);
+    await getMigrationStatus(pool);
+    assert.deepEqual(pool.client.released, [null]);
+  });
+
+  it('still releases the client, as broken, when the unlock fails', async () => {
+    const pool = fakePool(/pg_advisory_unlock/);
+    await getMigrationStatus(pool);
+
+    assert.equal(pool.client.released.length, 1);
+    assert.equal(pool.client.released[0].code, 'ECONNRESET');
+  });
+
+  it('releases the client when the connection drops mid-migration', async () => {
+    const pool = fakePool(/schema_migrations|pg_advisory_unlock/);
+    await assert.rejects(getMigrationStatus(pool), { code: 'ECONNRESET' });
+    assert.equal(pool.client.released.length, 1);
+  });
+});
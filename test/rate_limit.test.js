@@ -0,0 +1,86 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, rateLimit } = require('../src/rate_limit');
+
+/**
+ * Runs a limiter against a fake request
+ * @returns {Promise<Object>} { status, headers, body, next }
+ */
+async function run(limiter, request = { ip: '10.0.0.1' }) {
+  const result = { headers: {}, next: false };
+  const response = {
+    setHeader(name, value) {
+      result.headers[name] = value;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+    }
+  };
+
+  await limiter(request, response, () => { result.next = true; });
+  return result;
+}
+
+describe('createMemoryStore', () => {
+  it('counts hits per key and starts over once the window ends', async () => {
+    const store = createMemoryStore();
+
+    assert.equal((await store.increment('a', 1000)).count, 1);
+    assert.equal((await store.increment('a', 1000)).count, 2);
+    assert.equal((await store.increment('b', 1000)).count, 1);
+
+    await store.increment('c', -1);
+    assert.equal((await store.increment('c', 1000)).count, 1);
+  });
+});
+
+describe('rateLimit', () => {
+  const limiter = (store, max = 2) => rateLimit({
+    name: 'test',
+    windowMs: 60 * 1000,
+    max,
+    keyGenerator: (request) => request.ip,
+    store
+  });
+
+  it('answers 429 with Retry-After once a key goes over the limit', async () => {
+    const limit = limiter(createMemoryStore());
+    await run(limit);
+    const allowed = await run(limit);
+    const blocked = await run(limit);
+
+    assert.equal(allowed.next, true);
+    assert.equal(allowed.headers['X-RateLimit-Remaining'], 0);
+    assert.equal(blocked.next, false);
+    assert.equal(blocked.status, 429);
+    assert.ok(blocked.headers['Retry-After'] >= 1);
+    assert.equal(blocked.body.error, 'Too many requests');
+  });
+
+  it('prefixes keys with the limiter name', async () => {
+    const keys = [];
+    const store = { increment: async (key) => { keys.push(key); return { count: 1, resetAt: new Date() }; } };
+    await run(limiter(store));
+
+    assert.deepEqual(keys, ['test:10.0.0.1']);
+  });
+
+  it('skips requests without a key', async () => {
+    const store = { increment: async () => assert.fail('store should not be called') };
+    assert.equal((await run(limiter(store), { ip: null })).next, true);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const store = { increment: async () => { throw new Error('value too long for type character varying(255)'); } };
+    const result = await run(limiter(store));
+
+    assert.equal(result.next, true);
+    assert.equal(result.status, undefined);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const glicko2 = require('../src/glicko2');
+const trueskill = require('../src/trueskill');
+const { updateRatings, describeRatings } = require('../src/ratings');
+
+const character = (overrides = {}) => ({
+  elo: 1000,
+  wins: 0,
+  losses: 0,
+  glicko_rating: 1500,
+  glicko_rd: 350,
+  glicko_volatility: 0.06,
+  trueskill_mu: 25,
+  trueskill_sigma: 25 / 3,
+  ...overrides
+});
+
+describe('glicko2', () => {
+  it('matches the worked example from Glickman\'s paper', () => {
+    const result = glicko2.rate({ rating: 1500, deviation: 200, volatility: 0.06 }, [
+      { opponent: { rating: 1400, deviation: 30 }, score: 1 },
+      { opponent: { rating: 1550, deviation: 100 }, score: 0 },
+      { opponent: { rating: 1700, deviation: 300 }, score: 0 }
+    ]);
+
+    assert.ok(Math.abs(result.rating - 1464.06) < 0.01);
+    assert.ok(Math.abs(result.deviation - 151.52) < 0.01);
+    assert.ok(Math.abs(result.volatility - 0.05999) < 0.00001);
+  });
+
+  it('moves an uncertain rating further than a settled one', () => {
+    const opponent = { rating: 1500, deviation: 50, volatility: 0.06 };
+    const uncertain = glicko2.calculateMatch({ rating: 1500, deviation: 350, volatility: 0.06 }, opponent).winner;
+    const settled = glicko2.calculateMatch({ rating: 1500, deviation: 50, volatility: 0.06 }, opponent).winner;
+
+    assert.ok(uncertain.rating - 1500 > settled.rating - 1500);
+    assert.ok(uncertain.deviation < 350);
+  });
+});
+
+describe('trueskill', () => {
+  it('matches the reference values for two new players with no draw margin', () => {
+    const { winner, loser } = trueskill.calculateMatch({ mu: 25, sigma: 25 / 3 }, { mu: 25, sigma: 25 / 3 });
+
+    assert.ok(Math.abs(winner.mu - 29.205) < 0.001);
+    assert.ok(Math.abs(loser.mu - 20.795) < 0.001);
+    assert.ok(Math.abs(winner.sigma - 7.195) < 0.001);
+    assert.ok(Math.abs(loser.sigma - 7.195) < 0.001);
+  });
+
+  it('handles a win that was all but impossible', () => {
+    const { winner, loser } = trueskill.calculateMatch({ mu: 0, sigma: 1 }, { mu: 50, sigma: 1 });
+
+    assert.ok(Number.isFinite(winner.mu) && winner.mu > 0);
+    assert.ok(Number.isFinite(loser.mu) && loser.mu < 50);
+  });
+});
+
+describe('ratings', () => {
+  it('updates every system on a match', () => {
+    const { winner, loser } = updateRatings(character(), character());
+
+    assert.equal(winner.elo, 1020);
+    assert.equal(loser.elo, 980);
+    assert.ok(winner.glicko_rating > 1500 && loser.glicko_rating < 1500);
+    assert.ok(winner.trueskill_mu > 25 && loser.trueskill_mu < 25);
+  });
+
+  it('gives a new character a lower conservative score than a proven one with the same rating', () => {
+    const rookie = describeRatings(character({ glicko_rating: 1600, glicko_rd: 300, trueskill_mu: 30, trueskill_sigma: 8 }));
+    const veteran = describeRatings(character({ glicko_rating: 1600, glicko_rd: 40, trueskill_mu: 30, trueskill_sigma: 1 }));
+
+    assert.ok(rookie.glicko2.score < veteran.glicko2.score);
+    assert.ok(rookie.trueskill.score < veteran.trueskill.score);
+    assert.equal(rookie.system, 'elo');
+    assert.equal(rookie.score, 1000);
+  });
+});
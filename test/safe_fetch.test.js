@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isAllowedUrl, isBlockedAddress } = require('../src/safe_fetch');
+
+describe('isBlockedAddress', () => {
+  it('blocks private, loopback and link-local IPv4 addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('blocks loopback, unique local and link-local IPv6 addresses', () => {
+    for (const address of ['::', '::1', 'fd00::1', 'fe80::1', 'ff02::1']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('blocks IPv6 addresses that embed an IPv4 address', () => {
+    for (const address of [
+      '::ffff:127.0.0.1',
+      '::ffff:7f00:1',
+      '::FFFF:A9FE:A9FE',
+      '64:ff9b::7f00:1',
+      '64:ff9b::10.0.0.1',
+      '2002:7f00:1::1'
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['151.101.1.1', '8.8.8.8', '2606:4700::6810:84e5', '2a04:4e42::1']) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+  });
+});
+
+describe('isAllowedUrl', () => {
+  it('only allows http(s) URLs on the allowed hosts and their subdomains', () => {
+    assert.equal(isAllowedUrl('https://static.wikia.nocookie.net/onepiece/images/a.png'), true);
+    assert.equal(isAllowedUrl('https://images.static.wikia.nocookie.net/a.png'), true);
+    assert.equal(isAllowedUrl('https://evilstatic.wikia.nocookie.net.example.com/a.png'), false);
+    assert.equal(isAllowedUrl('ftp://static.wikia.nocookie.net/a.png'), false);
+    assert.equal(isAllowedUrl('not a url'), false);
+  });
+});
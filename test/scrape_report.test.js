@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planSync } = require('../src/scraper');
+const {
+  parseMaxDropPercent,
+  scrapeDropPercent,
+  assertNoSharpDrop,
+  findDuplicateNames,
+  findSuspiciousNames,
+  buildScrapeReport
+} = require('../src/scrape_report');
+
+const character = (slug, first_name, image_path = null) => ({ slug, first_name, last_name: '', title: '', image_path });
+
+const EXISTING = [
+  { id: 'luffy', slug: 'Monkey_D._Luffy', first_name: 'Monkey D. Luffy', image_path: 'luffy.png', active: true },
+  { id: 'zoro', slug: null, first_name: 'Roronoa Zoro', image_path: null, active: true },
+  { id: 'koby', slug: 'Koby', first_name: 'Koby', image_path: null, active: true },
+  { id: 'buggy', slug: 'Buggy', first_name: 'Buggy', image_path: null, active: false }
+];
+
+describe('planSync', () => {
+  it('sorts scraped characters into inserts, updates, unchanged and deactivations', () => {
+    const plan = planSync(EXISTING, [
+      character('Monkey_D._Luffy', 'Monkey D. Luffy'),
+      character('Roronoa_Zoro', 'Roronoa Zoro'),
+      character('Buggy', 'Buggy'),
+      character('Nami', 'Nami')
+    ]);
+
+    assert.deepEqual(plan.inserts.map(c => c.slug), ['Nami']);
+    assert.deepEqual(plan.updates.map(c => c.id), ['zoro', 'buggy']);
+    assert.deepEqual(plan.unchanged.map(c => c.id), ['luffy']);
+    assert.deepEqual(plan.deactivations.map(row => row.id), ['koby']);
+  });
+
+  it('keeps images already stored for a character', () => {
+    const plan = planSync(EXISTING, [character('Monkey_D._Luffy', 'Monkey D. Luffy', 'list-icon.png')]);
+
+    assert.equal(plan.unchanged[0].image_path, 'luffy.png');
+  });
+
+  it('ignores repeat slugs', () => {
+    const plan = planSync([], [character('Nami', 'Nami'), character('Nami', 'Cat Burglar Nami')]);
+
+    assert.deepEqual(plan.inserts.map(c => c.first_name), ['Nami']);
+  });
+});
+
+describe('scrape validation', () => {
+  it('measures the drop against active characters', () => {
+    assert.equal(scrapeDropPercent(75, 100), 25);
+    assert.equal(scrapeDropPercent(120, 100), 0);
+    assert.equal(scrapeDropPercent(0, 0), 0);
+  });
+
+  it('reads the drop limit, keeping 0 and refusing negatives', () => {
+    assert.equal(parseMaxDropPercent(undefined), 20);
+    assert.equal(parseMaxDropPercent('lots'), 20);
+    assert.equal(parseMaxDropPercent('0'), 0);
+    assert.equal(parseMaxDropPercent('12.5'), 12.5);
+    assert.throws(() => parseMaxDropPercent('-5'), /must not be negative/);
+  });
+
+  it('refuses a sharp drop', () => {
+    assert.throws(() => assertNoSharpDrop(50, 100), { code: 'ESCRAPEDROP' });
+    assert.doesNotThrow(() => assertNoSharpDrop(90, 100));
+  });
+
+  it('finds names scraped under more than one slug', () => {
+    assert.deepEqual(
+      findDuplicateNames([character('Koby', 'Koby'), character('Koby_(Disambiguation)', 'Koby'), character('Nami', 'Nami')]),
+      [{ first_name: 'Koby', slugs: ['Koby', 'Koby_(Disambiguation)'] }]
+    );
+  });
+
+  it('flags headers, chapter titles and navigation links', () => {
+    const suspicious = findSuspiciousNames([
+      character('Name', 'Name'),
+      character('Chapter_1', 'Chapter 1'),
+      character('Category:Characters', 'Characters'),
+      character('List_of_Canon_Characters', 'Canon Characters'),
+      character('Episode_1', '1'),
+      character('Nami', 'Nami')
+    ]);
+
+    assert.deepEqual(suspicious.map(entry => [entry.slug, entry.reason]), [
+      ['Name', 'table header'],
+      ['Chapter_1', 'chapter or episode title'],
+      ['Category:Characters', 'navigation link'],
+      ['List_of_Canon_Characters', 'navigation link'],
+      ['Episode_1', 'chapter or episode title']
+    ]);
+  });
+
+  it('reports the diff, missing images and whether a real run would refuse', () => {
+    const characters = [character('Monkey_D._Luffy', 'Monkey D. Luffy'), character('Nami', 'Nami')];
+    const report = buildScrapeReport(characters, planSync(EXISTING, characters), 3);
+
+    assert.equal(report.scraped, 2);
+    assert.equal(report.drop_percent, 33.3);
+    assert.equal(report.would_refuse, true);
+    assert.deepEqual(report.missing_images, ['Nami']);
+    assert.deepEqual(report.diff, {
+      added: ['Nami'],
+      updated: [],
+      deactivated: ['Roronoa Zoro', 'Koby'],
+      unchanged: 1
+    });
+  });
+});
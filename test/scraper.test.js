@@ -0,0 +1,268 @@
+// The scraper logs its progress, which just clutters the test output
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  scrapeOnePieceCharacters,
+  scrapeCharacterPage,
+  scrapeAndSaveCharacters,
+  updateCharacterDetails
+} = require('../src/scraper');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Saved wiki pages, keyed by the URL the scraper requests
+const PAGES = {
+  'https://onepiece.fandom.com/wiki/List_of_Canon_Characters': 'list_of_canon_characters.html',
+  'https://onepiece.fandom.com/wiki/Monkey_D._Luffy': 'monkey_d_luffy.html',
+  'https://onepiece.fandom.com/wiki/Roronoa_Zoro': 'roronoa_zoro.html',
+  'https://onepiece.fandom.com/wiki/Koby': 'koby.html'
+};
+
+/**
+ * Serves fixtures in place of the wiki, recording every URL requested
+ * @returns {Function} fetchPage replacement with a requested array of URLs
+ */
+function fixtureFetcher() {
+  const fetchPage = async (url) => {
+    fetchPage.requested.push(url);
+    if (!PAGES[url]) {
+      throw new Error(`Request failed with status code 404 for ${url}`);
+    }
+    return fs.readFileSync(path.join(FIXTURES_DIR, PAGES[url]), 'utf-8');
+  };
+  fetchPage.requested = [];
+  return fetchPage;
+}
+
+describe('scrapeOnePieceCharacters', () => {
+  it('parses every character row on the list page', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+
+    assert.deepEqual(characters.map(character => character.slug), [
+      'Monkey_D._Luffy',
+      'Koby',
+      'Roronoa_Zoro',
+      'Nico_Robin',
+      'Trafalgar_D._Water_Law',
+      'Kouzuki_Momonosuke',
+      'Tony_Tony_Chopper'
+    ]);
+  });
+
+  it('cleans up whitespace in names', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+    const names = characters.map(character => character.first_name);
+
+    assert.ok(names.includes('Roronoa Zoro'));
+    assert.ok(names.includes('Nico Robin'));
+  });
+
+  it('strips query strings and fragments from slugs', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+    const bySlug = new Map(characters.map(character => [character.slug, character]));
+
+    assert.equal(bySlug.get('Nico_Robin').first_name, 'Nico Robin');
+    assert.equal(bySlug.get('Trafalgar_D._Water_Law').first_name, 'Trafalgar D. Water Law');
+  });
+
+  it('keeps only the first row for a character linked more than once', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+    const luffys = characters.filter(character => character.slug === 'Monkey_D._Luffy');
+
+    assert.equal(luffys.length, 1);
+    assert.equal(luffys[0].first_name, 'Monkey D. Luffy');
+  });
+
+  it('skips header rows, rows without links and chapter links', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+    const names = characters.map(character => character.first_name);
+
+    assert.ok(!names.includes('Name'));
+    assert.ok(!names.includes('Unnamed guard'));
+    assert.ok(characters.every(character => !/^(Chapter|Episode)_/.test(character.slug)));
+  });
+
+  it('takes the name from a text link when the first link only wraps an icon', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+    const chopper = characters.find(character => character.slug === 'Tony_Tony_Chopper');
+
+    assert.deepEqual(chopper, {
+      slug: 'Tony_Tony_Chopper',
+      first_name: 'Tony Tony Chopper',
+      last_name: '',
+      title: '',
+      image_path: 'https://static.wikia.nocookie.net/onepiece/images/c/c0/Tony_Tony_Chopper_Icon.png'
+    });
+  });
+
+  it('leaves image_path empty for rows without an image', async () => {
+    const characters = await scrapeOnePieceCharacters({ fetchPage: fixtureFetcher() });
+
+    assert.equal(characters.find(character => character.slug === 'Koby').image_path, null);
+  });
+
+  it('passes fetch errors on', async () => {
+    const fetchPage = async () => {
+      throw new Error('getaddrinfo ENOTFOUND onepiece.fandom.com');
+    };
+
+    await assert.rejects(scrapeOnePieceCharacters({ fetchPage }), /ENOTFOUND/);
+  });
+});
+
+describe('scrapeCharacterPage', () => {
+  it('parses the infobox image and details', async () => {
+    const details = await scrapeCharacterPage(
+      { first_name: 'Monkey D. Luffy', slug: 'Monkey_D._Luffy' },
+      { fetchPage: fixtureFetcher() }
+    );
+
+    assert.deepEqual(details, {
+      image_path: 'https://static.wikia.nocookie.net/onepiece/images/6/6d/Monkey_D._Luffy_Anime_Post_Timeskip_Infobox.png/revision/latest/scale-to-width-down/268?cb=20240306200817',
+      epithet: '"Straw Hat" Luffy (麦わらのルフィ)',
+      affiliation: 'Straw Hat Pirates; Straw Hat Grand Fleet; Four Emperors',
+      bounty: 3000000000,
+      devil_fruit: 'Human-Human Fruit, Model: Nika',
+      debut_chapter: 1,
+      debut_episode: 1
+    });
+  });
+
+  it('uses data-src for lazy loaded images', async () => {
+    const details = await scrapeCharacterPage(
+      { first_name: 'Roronoa Zoro', slug: 'Roronoa_Zoro' },
+      { fetchPage: fixtureFetcher() }
+    );
+
+    assert.equal(
+      details.image_path,
+      'https://static.wikia.nocookie.net/onepiece/images/5/52/Roronoa_Zoro_Anime_Post_Timeskip_Infobox.png/revision/latest/scale-to-width-down/268?cb=20230704190612'
+    );
+  });
+
+  it('drops former entries and reference markers', async () => {
+    const details = await scrapeCharacterPage(
+      { first_name: 'Roronoa Zoro', slug: 'Roronoa_Zoro' },
+      { fetchPage: fixtureFetcher() }
+    );
+
+    assert.equal(details.affiliation, 'Straw Hat Pirates');
+    assert.equal(details.epithet, '"Pirate Hunter" Zoro; "King of Hell" (self-proclaimed)');
+    assert.equal(details.bounty, 1111000000);
+    assert.equal(details.devil_fruit, null);
+    assert.equal(details.debut_chapter, 3);
+    assert.equal(details.debut_episode, 2);
+  });
+
+  it('returns null fields for a page without an image or bounty', async () => {
+    const details = await scrapeCharacterPage({ first_name: 'Koby', slug: 'Koby' }, { fetchPage: fixtureFetcher() });
+
+    assert.equal(details.image_path, null);
+    assert.equal(details.bounty, null);
+    assert.equal(details.affiliation, 'Marines; SWORD');
+  });
+
+  it('builds the URL from the name when there is no slug', async () => {
+    const fetchPage = fixtureFetcher();
+    const details = await scrapeCharacterPage({ first_name: 'Roronoa Zoro' }, { fetchPage });
+
+    assert.deepEqual(fetchPage.requested, ['https://onepiece.fandom.com/wiki/Roronoa_Zoro']);
+    assert.equal(details.affiliation, 'Straw Hat Pirates');
+  });
+
+  it('returns null when the page cannot be loaded', async () => {
+    const details = await scrapeCharacterPage(
+      { first_name: 'Nobody', slug: 'Nobody' },
+      { fetchPage: fixtureFetcher() }
+    );
+
+    assert.equal(details, null);
+  });
+});
+
+/**
+ * A pool that records every query and answers the characters SELECT with rows
+ */
+function fakePool(rows = []) {
+  const queries = [];
+  const query = async (text, params = []) => {
+    queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+    return /^SELECT id, slug/.test(text) ? { rows } : { rows: [], rowCount: 1 };
+  };
+  return { queries, query, connect: async () => ({ query, release() {} }) };
+}
+
+describe('scrapeAndSaveCharacters', () => {
+  const EXISTING = [
+    { id: 'luffy', slug: 'Monkey_D._Luffy', first_name: 'Monkey D. Luffy', image_path: 'luffy.png', active: true },
+    // Saved before slugs existed, matched by name
+    { id: 'zoro', slug: null, first_name: 'Roronoa Zoro', image_path: null, active: true },
+    { id: 'roger', slug: 'Gol_D._Roger', first_name: 'Gol D. Roger', image_path: null, active: true }
+  ];
+
+  it('syncs the scraped list page into the table', async () => {
+    const pool = fakePool(EXISTING);
+    const summary = await scrapeAndSaveCharacters(pool, { fetchPage: fixtureFetcher() });
+
+    assert.deepEqual(summary.added, ['Koby', 'Nico Robin', 'Trafalgar D. Water Law', 'Kouzuki Momonosuke', 'Tony Tony Chopper']);
+    assert.deepEqual(summary.updated, ['Roronoa Zoro']);
+    assert.deepEqual(summary.deactivated, ['Gol D. Roger']);
+    assert.equal(summary.unchanged, 1);
+
+    const texts = pool.queries.map(query => query.text);
+    assert.ok(texts.some(text => text.startsWith('UPDATE characters SET active = FALSE')));
+    assert.equal(texts.at(-1), 'COMMIT');
+  });
+
+  it('only reports what would change on a dry run', async () => {
+    const pool = fakePool(EXISTING);
+    const report = await scrapeAndSaveCharacters(pool, { dryRun: true, fetchPage: fixtureFetcher() });
+
+    assert.equal(report.diff.added.length, 5);
+    assert.ok(!pool.queries.some(query => /^(INSERT|UPDATE)/.test(query.text)));
+  });
+});
+
+describe('updateCharacterDetails', () => {
+  it('saves the details scraped from the character page', async () => {
+    const pool = fakePool();
+    const fetchPage = fixtureFetcher();
+    const updated = await updateCharacterDetails(pool, { id: 'zoro', first_name: 'Roronoa Zoro', slug: 'Roronoa_Zoro' }, { fetchPage });
+
+    assert.equal(updated, true);
+    assert.deepEqual(fetchPage.requested, ['https://onepiece.fandom.com/wiki/Roronoa_Zoro']);
+    assert.deepEqual(pool.queries[0].params.slice(1), [
+      '"Pirate Hunter" Zoro; "King of Hell" (self-proclaimed)',
+      'Straw Hat Pirates',
+      1111000000,
+      null,
+      3,
+      2,
+      'zoro'
+    ]);
+  });
+
+  it('keeps stored details the page does not have', async () => {
+    const pool = fakePool();
+    const fetchPage = async () => '<html><body><p>No infobox here</p></body></html>';
+    await updateCharacterDetails(pool, { id: 'koby', first_name: 'Koby', slug: 'Koby' }, { fetchPage });
+
+    const [update] = pool.queries;
+    assert.deepEqual(update.params, [null, null, null, null, null, null, null, 'koby']);
+    for (const column of ['image_path', 'epithet', 'affiliation', 'bounty', 'devil_fruit', 'debut_chapter', 'debut_episode']) {
+      assert.match(update.text, new RegExp(`${column} = COALESCE\\(\\$\\d, ${column}\\)`));
+    }
+  });
+
+  it('leaves the row alone when the page cannot be loaded', async () => {
+    const pool = fakePool();
+    const updated = await updateCharacterDetails(pool, { id: 'nobody', first_name: 'Nobody', slug: 'Nobody' }, { fetchPage: fixtureFetcher() });
+
+    assert.equal(updated, false);
+    assert.equal(pool.queries.length, 0);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('../src/signed_tokens');
+
+const SECRET = 'test-secret';
+const inAnHour = () => Math.floor(Date.now() / 1000) + 60 * 60;
+
+/**
+ * Signs a raw JSON payload the way signToken does, for payloads it wouldn't produce
+ */
+function signRaw(json) {
+  const payload = Buffer.from(json).toString('base64url');
+  return `${payload}.${crypto.createHmac('sha256', SECRET).update(payload).digest('base64url')}`;
+}
+
+describe('verifyToken', () => {
+  it('returns the claims of a valid token', () => {
+    const exp = inAnHour();
+    assert.deepEqual(verifyToken(signToken({ sub: 'a', exp }, SECRET), SECRET), { sub: 'a', exp });
+  });
+
+  it('rejects tokens that are expired, tampered with or signed with another secret', () => {
+    const token = signToken({ sub: 'a', exp: inAnHour() }, SECRET);
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ sub: 'b', exp: inAnHour() })).toString('base64url')}.${signature}`;
+
+    assert.equal(verifyToken(signToken({ sub: 'a', exp: 1 }, SECRET), SECRET), null);
+    assert.equal(verifyToken(forged, SECRET), null);
+    assert.equal(verifyToken(token, 'other-secret'), null);
+    assert.equal(verifyToken(undefined, SECRET), null);
+  });
+
+  it('rejects signed payloads that are not claims objects', () => {
+    for (const json of ['null', '42', '"text"', 'not json']) {
+      assert.equal(verifyToken(signRaw(json), SECRET), null);
+    }
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv, importData } = require('../src/transfer');
+
+describe('CSV export', () => {
+  it('round trips quotes, commas and newlines, reading nulls back as empty', () => {
+    const rows = [
+      { id: '1', first_name: 'Koby, "Hero"', epithet: 'line one\nline two', bounty: null },
+      { id: '2', first_name: 'Nami', epithet: null, bounty: 366000000 }
+    ];
+    const csv = toCsv(rows, ['id', 'first_name', 'epithet', 'bounty']);
+
+    assert.deepEqual(parseCsv(csv), [
+      { id: '1', first_name: 'Koby, "Hero"', epithet: 'line one\nline two', bounty: '' },
+      { id: '2', first_name: 'Nami', epithet: '', bounty: '366000000' }
+    ]);
+  });
+
+  it('writes dates as ISO timestamps', () => {
+    const csv = toCsv([{ created_at: new Date('2024-01-02T03:04:05Z') }], ['created_at']);
+
+    assert.equal(csv, 'created_at\n2024-01-02T03:04:05.000Z\n');
+  });
+
+  it('parses CRLF line endings and skips blank lines', () => {
+    assert.deepEqual(parseCsv('id,first_name\r\n1,Luffy\r\n\r\n2,Zoro'), [
+      { id: '1', first_name: 'Luffy' },
+      { id: '2', first_name: 'Zoro' }
+    ]);
+  });
+});
+
+const COLUMNS = {
+  characters: ['id', 'slug', 'first_name', 'last_name', 'elo', 'active'],
+  matches: ['id', 'winner_id', 'loser_id', 'created_at']
+};
+const TEXT_COLUMNS = ['slug', 'first_name', 'last_name'];
+
+/**
+ * A pool with one client that records every query and answers the ones
+ * importData depends on. existing maps slugs to the ids already in the database.
+ */
+function fakePool(existing = {}, columns = COLUMNS) {
+  const queries = [];
+  let inserted = 0;
+
+  const client = {
+    async query(text, params = []) {
+      queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+
+      if (/information_schema\.columns/.test(text) && /data_type/.test(text)) {
+        return { rows: columns[params[0]].filter(column => TEXT_COLUMNS.includes(column)).map(column_name => ({ column_name })) };
+      }
+      if (/information_schema\.columns/.test(text)) {
+        return { rows: columns[params[0]].map(column_name => ({ column_name })) };
+      }
+      if (/^SELECT id FROM characters/.test(text)) {
+        const id = existing[params[1]];
+        return { rows: id ? [{ id }] : [] };
+      }
+      if (/^INSERT INTO (characters|matches)/.test(text)) {
+        return { rows: [{ id: `new-${++inserted}` }] };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+    release() {}
+  };
+
+  return { queries, connect: async () => client };
+}
+
+const statements = (pool) => pool.queries.map(query => query.text.split(' ').slice(0, 3).join(' '));
+
+const DATA = {
+  characters: [
+    { id: 'file-luffy', slug: 'Monkey_D._Luffy', first_name: 'Luffy', elo: 1400, recent_change: 12 },
+    { id: 'file-zoro', slug: 'Roronoa_Zoro', first_name: 'Zoro', elo: 1300 }
+  ],
+  matches: [{ id: 'match-1', winner_id: 'file-luffy', loser_id: 'file-zoro' }]
+};
+
+describe('importData', () => {
+  it('merges by updating existing characters and inserting new ones', async () => {
+    const pool = fakePool({ 'Monkey_D._Luffy': 'db-luffy' });
+    const summary = await importData(pool, DATA);
+
+    assert.deepEqual(summary.characters, { inserted: 1, updated: 1, skipped: 0 });
+    assert.deepEqual(summary.ignored_columns, ['recent_change']);
+
+    // The existing row keeps its id
+    const update = pool.queries.find(query => query.text.startsWith('UPDATE characters'));
+    assert.deepEqual(update.params, ['db-luffy', 'Monkey_D._Luffy', 'Luffy', 1400]);
+
+    // The match points at the ids in this database, not the file's
+    const match = pool.queries.find(query => query.text.startsWith('INSERT INTO matches'));
+    assert.deepEqual(match.params, ['match-1', 'db-luffy', 'new-1']);
+    assert.equal(statements(pool).at(-1), 'COMMIT');
+  });
+
+  it('leaves existing characters alone in skip-existing mode', async () => {
+    const pool = fakePool({ 'Monkey_D._Luffy': 'db-luffy' });
+    const summary = await importData(pool, DATA, { mode: 'skip-existing' });
+
+    assert.deepEqual(summary.characters, { inserted: 1, updated: 0, skipped: 1 });
+    assert.ok(!pool.queries.some(query => query.text.startsWith('UPDATE characters')));
+  });
+
+  it('deletes every character before inserting in replace mode', async () => {
+    const pool = fakePool({ 'Monkey_D._Luffy': 'db-luffy' });
+    const summary = await importData(pool, DATA, { mode: 'replace' });
+
+    assert.deepEqual(summary.characters, { inserted: 2, updated: 0, skipped: 0 });
+    const steps = statements(pool);
+    assert.ok(steps.indexOf('DELETE FROM characters') < steps.indexOf('INSERT INTO characters'));
+    assert.ok(!pool.queries.some(query => query.text.startsWith('SELECT id FROM characters')));
+  });
+
+  it('rolls back a dry run instead of committing', async () => {
+    const pool = fakePool();
+    const summary = await importData(pool, DATA, { mode: 'replace', dryRun: true });
+
+    assert.equal(summary.dry_run, true);
+    assert.equal(summary.characters.inserted, 2);
+    assert.equal(statements(pool).at(-1), 'ROLLBACK');
+    assert.ok(!statements(pool).includes('COMMIT'));
+  });
+
+  it('rolls back when a query fails', async () => {
+    const pool = fakePool();
+    const client = await pool.connect();
+    const query = client.query;
+    client.query = async (text, params) => {
+      if (/^INSERT INTO matches/.test(text)) {
+        throw new Error('insert failed');
+      }
+      return query(text, params);
+    };
+
+    await assert.rejects(importData(pool, DATA), /insert failed/);
+    assert.equal(statements(pool).at(-1), 'ROLLBACK');
+    assert.ok(!statements(pool).includes('COMMIT'));
+  });
+
+  it('round trips a CSV export without empty cells overwriting or breaking anything', async () => {
+    const csv = toCsv([
+      { id: 'file-luffy', slug: 'Monkey_D._Luffy', first_name: 'Luffy', last_name: '', elo: null, active: true },
+      { id: 'file-koby', slug: 'Koby', first_name: 'Koby', last_name: '', elo: 1200, active: null }
+    ], COLUMNS.characters);
+    const pool = fakePool({ 'Monkey_D._Luffy': 'db-luffy' });
+    await importData(pool, { characters: parseCsv(csv), matches: [] });
+
+    // The empty elo leaves the stored one alone
+    const update = pool.queries.find(query => query.text.startsWith('UPDATE characters'));
+    assert.ok(!/"elo"/.test(update.text));
+    assert.deepEqual(update.params, ['db-luffy', 'Monkey_D._Luffy', 'Luffy', 'true']);
+
+    // The empty last_name is kept, the empty active falls back to its default
+    const insert = pool.queries.find(query => query.text.startsWith('INSERT INTO characters'));
+    assert.match(insert.text, /"last_name"/);
+    assert.ok(!/"active"/.test(insert.text));
+    assert.deepEqual(insert.params, ['file-koby', 'Koby', 'Koby', '', '1200']);
+  });
+
+  it('asks for migrations when the characters table does not exist', async () => {
+    const pool = fakePool({}, { characters: [], matches: [] });
+
+    await assert.rejects(importData(pool, DATA), /run migrations first/);
+    assert.equal(statements(pool).at(-1), 'ROLLBACK');
+  });
+
+  it('refuses an unknown mode before touching the database', async () => {
+    const pool = fakePool();
+    await assert.rejects(importData(pool, DATA, { mode: 'overwrite' }), /Unknown import mode/);
+    assert.equal(pool.queries.length, 0);
+  });
+});
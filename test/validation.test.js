@@ -0,0 +1,120 @@
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const openapi = require('../src/openapi');
+const { validateValue, validateRequest } = require('../src/validation');
+
+const validate = validateRequest(openapi);
+
+/**
+ * Runs the validation middleware against a fake request
+ * @returns {Object} { status, body } for a rejected request, or { next: true }
+ */
+function run({ method = 'GET', path, params = {}, query = {}, headers = {}, body }) {
+  const result = {};
+  const request = { method, route: { path }, params, query, headers, body };
+  const response = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+    }
+  };
+
+  validate(request, response, () => { result.next = true; });
+  return result;
+}
+
+const ID = '6f1c2a9e-3b4d-4c5e-8f60-718293a4b5c6';
+
+describe('validateValue', () => {
+  it('checks types, enums and formats', () => {
+    assert.deepEqual(validateValue(openapi, { type: 'integer' }, 2, 'n'), []);
+    assert.deepEqual(validateValue(openapi, { type: 'integer' }, 2.5, 'n'), ['n must be an integer']);
+    assert.deepEqual(validateValue(openapi, { type: 'string', enum: ['a', 'b'] }, 'c', 's'), ['s must be one of: a, b']);
+    assert.deepEqual(validateValue(openapi, { type: 'string', format: 'uuid' }, 'abc', 'id'), ['id must be a valid UUID']);
+  });
+
+  it('resolves references and allows null only when nullable', () => {
+    assert.deepEqual(validateValue(openapi, { $ref: '#/components/schemas/Error' }, { error: 'x' }, 'body'), ['message is required']);
+    assert.deepEqual(validateValue(openapi, { type: 'string', nullable: true }, null, 's'), []);
+    assert.deepEqual(validateValue(openapi, { type: 'string' }, null, 's'), ['s must not be null']);
+  });
+});
+
+describe('validateRequest', () => {
+  it('rejects a malformed UUID in the path', () => {
+    const result = run({ path: '/characters/:id', params: { id: 'not-a-uuid' } });
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body, {
+      error: 'Invalid input',
+      message: 'id must be a valid UUID',
+      details: [{ in: 'path', name: 'id', message: 'id must be a valid UUID' }]
+    });
+  });
+
+  it('passes valid requests through', () => {
+    assert.deepEqual(run({ path: '/characters/:id', params: { id: ID } }), { next: true });
+    assert.deepEqual(run({ path: '/characters', query: { limit: '10', sort: 'wins', order: 'asc' } }), { next: true });
+  });
+
+  it('converts query strings before checking them', () => {
+    const result = run({ path: '/characters', query: { limit: 'ten', sort: 'height' } });
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.details.map(detail => detail.name), ['limit', 'sort']);
+    assert.equal(run({ path: '/image-proxy', query: { url: 'https://static.wikia.nocookie.net/a.png', w: '7' } }).status, 400);
+    assert.deepEqual(run({ path: '/image-proxy', query: { url: 'https://static.wikia.nocookie.net/a.png', w: '128' } }), { next: true });
+  });
+
+  it('checks JSON bodies for required, typed and unknown fields', () => {
+    const result = run({
+      method: 'PUT',
+      path: '/characters/:id/elo',
+      params: { id: ID },
+      body: { wins_change: '1', elo_change: 16, bonus: 5 }
+    });
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.details.map(detail => detail.message), [
+      'losses_change is required',
+      'wins_change must be an integer',
+      'bonus is not allowed, only these fields are: wins_change, losses_change, elo_change, recent_change'
+    ]);
+  });
+
+  it('rejects fractional elo changes', () => {
+    const result = run({
+      method: 'PUT',
+      path: '/characters/:id/elo',
+      params: { id: ID },
+      body: { wins_change: 0, losses_change: 0, elo_change: 0.5 }
+    });
+
+    assert.equal(result.status, 400);
+    assert.equal(result.body.message, 'elo_change must be an integer');
+  });
+
+  it('requires a body when the operation does', () => {
+    const result = run({ method: 'POST', path: '/matches' });
+    assert.equal(result.body.message, 'A JSON request body is required');
+  });
+
+  it('rejects session ids that are too long or contain odd characters', () => {
+    const body = { token: 'token', winner_id: ID };
+    const tooLong = run({ method: 'POST', path: '/matches', headers: { 'x-session-id': 'a'.repeat(129) }, body });
+    const odd = run({ method: 'POST', path: '/matches', headers: { 'x-session-id': 'a b' }, body });
+
+    assert.equal(tooLong.body.message, 'X-Session-Id must be at most 128 characters');
+    assert.equal(odd.body.message, 'X-Session-Id may only contain letters, digits, ".", "_" and "-"');
+    assert.deepEqual(run({ method: 'POST', path: '/matches', headers: { 'x-session-id': 'c2a9e-3b4d_1.x' }, body }), { next: true });
+  });
+
+  it('ignores routes the document does not describe', () => {
+    assert.deepEqual(run({ path: '/not-documented' }), { next: true });
+  });
+});
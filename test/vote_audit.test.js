@@ -0,0 +1,57 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.REPEAT_VOTE_THRESHOLD = '2';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../src/rate_limit');
+const { flagRepeatedVotes } = require('../src/vote_audit');
+
+/**
+ * A pool that records the flags written to vote_flags
+ */
+function fakePool() {
+  const flags = [];
+  return {
+    flags,
+    async query(text, params) {
+      flags.push(params);
+      return { rows: [] };
+    }
+  };
+}
+
+const VOTE = { ip: '10.0.0.1', sessionId: 'session-1', characterId: 'luffy', route: 'POST /matches' };
+
+describe('flagRepeatedVotes', () => {
+  it('flags the vote that crosses the threshold, once per client', async () => {
+    const pool = fakePool();
+    const store = createMemoryStore();
+
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await flagRepeatedVotes(pool, store, VOTE));
+    }
+
+    assert.deepEqual(results, [false, false, true, false, false]);
+    assert.deepEqual(pool.flags.map(params => params[0]), ['repeated_votes_by_ip', 'repeated_votes_by_session']);
+    assert.deepEqual(pool.flags[1], ['repeated_votes_by_session', '10.0.0.1', 'session-1', 'luffy', 'POST /matches', 3]);
+  });
+
+  it('counts each character separately', async () => {
+    const pool = fakePool();
+    const store = createMemoryStore();
+
+    for (const characterId of ['luffy', 'zoro', 'nami']) {
+      await flagRepeatedVotes(pool, store, { ...VOTE, characterId });
+    }
+    assert.equal(pool.flags.length, 0);
+  });
+
+  it('only counts by IP when no session id was sent', async () => {
+    const keys = [];
+    const store = { increment: async (key) => { keys.push(key); return { count: 1, resetAt: new Date() }; } };
+    await flagRepeatedVotes(fakePool(), store, { ...VOTE, sessionId: null });
+
+    assert.deepEqual(keys, ['repeat-vote:ip:10.0.0.1:luffy']);
+  });
+});